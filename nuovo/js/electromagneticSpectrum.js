@@ -15,10 +15,27 @@ var wavelengthConfig = {
   yticks: 5, // Number of ticks on axis.  Auto if 0.
   xtickFormat: null, // Number format for tick-mark labels.  See d3-format.
   ytickFormat: null, // Number format for tick-mark labels.  See d3-format.
+  x2axis: true, // Asse in alto con la frequenza corrispondente (f = c / lambda).
+  x2Transform: "nmToTHz",
+  x2label: "Frequenza (THz)",
   zeroLine: false, // If true, adds a line across y=0.
+  xgrid: "minor", // Griglia per leggere la lunghezza d'onda a occhio.
+  ygrid: true,
   sortLinesByX: true, // Sort line data by increasing x value.
   fastTransition: 50, // Animation duration (ms)
   slowTransition: 600, // For slower animations, e.g. enter/exit.
+  autoResize: true, // Re-render when the container is resized.
+  aspectRatio: 2, // Keep width = 2 * height on resize.
+  zoom: true, // Wheel/pinch zoom and drag-to-pan.  Double-click resets.
+  zoomAxis: "x", // Zoom only along the wavelength axis.
+  zoomExtent: [1, 40], // Min. and max. zoom factors.
+  tracking: true, // Crosshair and tooltip on hover.
+  timeline: true, // Controlli play/pausa per far propagare l'onda.
+  tmin: 0,
+  tmax: 1, // Un periodo.
+  tstep: 0.05,
+  speed: 0.5, // Periodi al secondo.
+  loop: true,
 };
 
 //Conmfigurazione del grafico fotoni
@@ -42,38 +59,55 @@ var photonGraphConfig = {
   sortLinesByX: true, // Sort line data by increasing x value.
   fastTransition: 50, // Animation duration (ms)
   slowTransition: 600, // For slower animations, e.g. enter/exit.
+  autoResize: true, // Re-render when the container is resized.
+  aspectRatio: 2, // Keep width = 2 * height on resize.
 };
 
 //Creazione dei grafici
 var wavelengthGraph = new KCVSGraph(wavelengthConfig);
 var photonGraph = new KCVSGraph(photonGraphConfig);
 
+//Collega cursore e selezione (shift + trascina) dei due grafici. Il fotone
+//oscilla come sin(5500 x / lambda) e l'onda come sin(2 pi x / lambda), quindi
+//x_onda = x_fotone * 5500 / (2 pi) corrisponde alla stessa fase. Lo zoom non
+//e' collegato: porterebbe il fotone fuori dal suo pacchetto.
+var photonToWave = 5500 / (2 * Math.PI);
+KCVSGraph.link([wavelengthGraph, photonGraph], {
+  axis: "x",
+  zoom: false,
+  transforms: [
+    null,
+    {
+      forward: function (x) { return x * photonToWave; },
+      inverse: function (x) { return x / photonToWave; },
+    },
+  ],
+});
+
+//Banda del visibile (380-750 nm) evidenziata sul grafico onda
+wavelengthGraph.addAnnotation({
+  id: "visibleBand",
+  type: "xRange",
+  x1: 380,
+  x2: 750,
+  text: "Visibile",
+});
+
 //Creazione dati per i grafici
 var currentWavelength = 550;
 var currentRGB = "rgb(0, 0, 0)";
 var currentFreq = 5.45;
 var currentEnergy = 5.45;
-var wavelengthArray = {
-  id: "wavelengthLine",
-  x: [],
-  y: [],
-};
-var photonArrayRight = {
-  id: "photonLineRight",
-  x: [],
-  y: [],
-};
-var photonArrayLeft = {
-  id: "photonLineLeft",
-  x: [],
-  y: [],
-};
 var RGBValues = [0, 0, 0];
 
-//Disegno i grafici
-wavelengthGraph.addLine(wavelengthArray);
-photonGraph.addLine(photonArrayRight);
-photonGraph.addLine(photonArrayLeft);
+//Funzioni disegnate nei grafici (campionate dal grafico a ogni zoom)
+//t e' il tempo della timeline in periodi: l'onda si propaga verso destra
+function waveFunction(x, t) {
+  return Math.sin(2 * Math.PI * (x / currentWavelength - t));
+}
+function photonFunction(x) {
+  return Math.exp(-Math.abs(x)) * Math.sin((5500 / currentWavelength) * x);
+}
 
 //Funzione per aggiornare la lunghezza d'onda
 function updateWavelength() {
@@ -104,45 +138,90 @@ function updateEnergy() {
   return;
 }
 
-//Funzione per aggiornare l'array per il grafico dell'onda
+//Funzione per aggiornare il grafico dell'onda
+//(la curva viene disegnata la prima volta che si sceglie un colore)
 function updateWavelengthArray() {
-  var n = 100;
-  wavelengthArray.x = Array(n);
-  wavelengthArray.y = Array(n);
-  for (var i = 0; i < n; i++) {
-    wavelengthArray.x[i] = (wavelengthGraph.getXmax() * i) / n;
-    wavelengthArray.y[i] = Math.sin(
-      (2 * Math.PI * wavelengthArray.x[i]) / currentWavelength
-    );
+  if (wavelengthGraph.functions.hasOwnProperty("wavelengthLine")) {
+    wavelengthGraph.updateFunction("wavelengthLine");
+  } else {
+    wavelengthGraph.addFunction("wavelengthLine", waveFunction, { samples: 200 });
+    wavelengthGraph.play();
   }
   $("#wavelengthLine").css("stroke", currentRGB);
 }
 
-//Funzione per aggiornare l'array per il grafico dei fotoni
+//Funzione per aggiornare il grafico dei fotoni
 function updatePhotonArray() {
-  var n = 250;
-  photonArrayRight.x = Array(n);
-  photonArrayRight.y = Array(n);
-  photonArrayLeft.x = Array(n);
-  photonArrayLeft.y = Array(n);
-  for (var i = 0; i < n; i++) {
-    photonArrayRight.x[i] = (photonGraph.getXmax() * i) / n;
-    photonArrayRight.y[i] =
-      1 *
-      Math.exp(-photonArrayRight.x[i]) *
-      Math.sin((5500 / currentWavelength) * photonArrayRight.x[i]);
-  }
-  for (var i = 0; i < n; i++) {
-    photonArrayLeft.x[i] = ((photonGraph.getXmax() * i) / n) * -1;
-    photonArrayLeft.y[i] =
-      1 *
-      Math.exp(photonArrayLeft.x[i]) *
-      Math.sin((5500 / currentWavelength) * photonArrayLeft.x[i]);
+  if (photonGraph.functions.hasOwnProperty("photonLineRight")) {
+    photonGraph.updateFunction("photonLineRight");
+    photonGraph.updateFunction("photonLineLeft");
+  } else {
+    photonGraph.addFunction("photonLineRight", photonFunction, { xmin: 0 });
+    photonGraph.addFunction("photonLineLeft", photonFunction, { xmax: 0 });
   }
   $("#photonLineRight").css("stroke", currentRGB);
   $("#photonLineLeft").css("stroke", currentRGB);
 }
 
+//Marcatore trascinabile sulla lunghezza d'onda: trascinandolo si sceglie
+//una nuova lunghezza d'onda (solo nello spettro visibile) e si aggiorna la pagina
+function updateWavelengthMarker() {
+  wavelengthGraph.markerLines({
+    markerClass: "wavelengthMarker",
+    posArr: [currentWavelength],
+    axis: "x",
+    draggable: true,
+    snap: function (x) {
+      return Math.round(Math.min(750, Math.max(380, x)));
+    },
+    onDrag: function (x) {
+      setWavelength(x);
+    },
+    onChange: function (x) {
+      setWavelength(x);
+      updateFreq();
+      updateEnergy();
+    },
+  });
+}
+
+//Imposta la lunghezza d'onda (nm) e il colore corrispondente
+function setWavelength(nm) {
+  currentWavelength = nm;
+  RGBValues = wavelengthToRgb(nm);
+  currentRGB = `rgb(${RGBValues[0]}, ${RGBValues[1]}, ${RGBValues[2]})`;
+  $("#result-box").css("background-color", currentRGB);
+  $("#result-text").text(currentRGB);
+  updateWavelengthArray();
+  updatePhotonArray();
+}
+
+//Convertitore lunghezza d'onda (380-750 nm) -> RGB (approssimazione di Bruton)
+function wavelengthToRgb(nm) {
+  var r = 0,
+    g = 0,
+    b = 0;
+  if (nm < 440) {
+    r = (440 - nm) / (440 - 380);
+    b = 1;
+  } else if (nm < 490) {
+    g = (nm - 440) / (490 - 440);
+    b = 1;
+  } else if (nm < 510) {
+    g = 1;
+    b = (510 - nm) / (510 - 490);
+  } else if (nm < 580) {
+    r = (nm - 510) / (580 - 510);
+    g = 1;
+  } else if (nm < 645) {
+    r = 1;
+    g = (645 - nm) / (645 - 580);
+  } else {
+    r = 1;
+  }
+  return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
+}
+
 //Convertitore RGB -> HSL
 function rgbToHsl(c) {
   var r = c[0] / 255,
@@ -190,6 +269,7 @@ function update() {
   $('#grafico-1')[0].scrollIntoView();
   updateWavelength();
   updateWavelengthArray();
+  updateWavelengthMarker();
   updatePhotonArray();
   console.log("Updating Wavelength");
   console.log("Current wavelength: " + currentWavelength);
@@ -202,22 +282,6 @@ function update() {
   console.log("Updated Energy: " + currentEnergy);
   console.log("Updated Frequency: " + currentFreq);
   updateEnergy();
-  
-  wavelengthGraph.updateLine(
-      wavelengthArray.id,
-      wavelengthArray.x,
-      wavelengthArray.y
-  );
-  photonGraph.updateLine(
-      photonArrayRight.id,
-      photonArrayRight.x,
-      photonArrayRight.y
-  );
-  photonGraph.updateLine(
-      photonArrayLeft.id,
-      photonArrayLeft.x,
-      photonArrayLeft.y
-  );
 }
 //Dati per le funzioni relative all'immagine
 const canvas = document.getElementById("canvas");
@@ -256,6 +320,19 @@ function drawCanvas(input) {
   $('#color-picker')[0].scrollIntoView();
 }
 
+// Funzione per sovrapporre a un grafico dati misurati (file CSV o JSON)
+function importGraphData(graph, input) {
+  if (input.files && input.files[0]) {
+    var file = input.files[0];
+    var format = /\.json$/i.test(file.name) ? "json" : "csv";
+    var reader = new FileReader();
+    reader.onload = function (e) {
+      graph.importData(e.target.result, format);
+    };
+    reader.readAsText(file);
+  }
+}
+
 function vh(v) {
   var h = Math.max(document.documentElement.clientHeight, window.innerHeight || 0);
   return (v * h) / 100;
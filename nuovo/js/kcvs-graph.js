@@ -19,22 +19,65 @@
   For more details, see:
     https://github.com/d3/d3-axis#axis_tickFormat
     https://github.com/d3/d3-format#locale_format
-  (More general time-format axes are not yet implemented.)
+  
+  The axis types are set with xScaleType and yScaleType: 'linear' (default),
+  'log', 'symlog', 'pow' (see xScaleExponent) or 'time'.  For a time axis,
+  the limits and x-values can be Dates or milliseconds, and the tick format
+  is a d3-time-format string, e.g. xtickFormat = "%H:%M".  See:
+    https://github.com/d3/d3-time-format#locale_format
   
   You can access the SVG context directly with
     awesomegraph.svg
   or use the usual d3 selectors.
   
-  Currently if you want a title you should put a header element above the graph.
+  For a title, set title (and optionally subtitle and caption) in the config,
+  or call setTitle later.  They are drawn inside the SVG, so they are part of
+  exports and the graph's accessible name, and the margins grow to fit them.
   
   Functions include:
   - addLine(obj)  ("obj" = config object w/ x & y arrays, and other param's)
-  - markerLines(markerClass, posArr, axis, slowUpdate)
-  - markerCircles(circleClass, x, y, r, delay, slowUpdate) <-- Use for points.
+  - markerLines(markerClass, posArr, axis, slowUpdate, options)
+    (options make them draggable, with snapping and onDrag/onChange)
+  - markerCircles(circleClass, x, y, r, delay, slowUpdate, options) <-- Use for points.
+    (options make them editable, by dragging or with the arrow keys)
   - updateLine(id, newx, newy, slowUpdate)
-  - showLines(selector)
-  - hideLines(selector)
+  - addFunction(id, f, options), updateFunction(id, f, slowUpdate)
+  - appendPoints(id, x, y, options)  (streaming, with a sliding window)
+  - play(), pause(), togglePlay(), stepTime(n), setTime(t), setSpeed(speed),
+    enableTimeline(), disableTimeline()  (functions of x and t; see addFunction)
+  - addSeries(obj), updateSeries(id, obj, slowUpdate), removeSeries(id)
+    (obj.type = 'scatter', 'bar', 'area' or 'step')
+  - setErrors(id, obj), removeErrors(id): error bars or confidence bands
+    (or pass xError/yError to addLine/addSeries)
+  - addAnnotation(obj), updateAnnotation(id, obj, slowUpdate),
+    removeAnnotation(id)  (text, arrows, shaded ranges and callouts)
+  - setTitle({title, subtitle, caption})
+  - setRenderer('svg' or 'canvas')  (see also the downsample config option)
+  - toJSON(), loadState(state), KCVSGraph.fromJSON(state, containerID)
+  (Lines and functions with yAxis: 'y2' use the secondary y-axis; see y2axis.)
+  - xToX2(x), x2ToX(x2)  (conversions for the top x-axis; see x2axis)
+  - showItems(selector)
+  - hideItems(selector)
+  - setVisible(selector, visible)
   - removeLines(selector)
+  - resize(width, height)  (both optional; see also autoResize & aspectRatio)
+  - redraw(duration)
+  - getAxisLimits()
+  - setAxisLimits(limits, slowUpdate)  (limits = {xmin, xmax, ymin, ymax})
+  - enableZoom(options), disableZoom(), resetZoom(slowUpdate)
+  - enableTracking(), disableTracking()
+  - enableBrush(options), disableBrush(), setBrush(range)  (shift-drag)
+  - setCursor({x, y})
+  - KCVSGraph.link(graphs, options)  (mirror hover, zoom and brushing)
+  - updateLegend()
+  - setTheme(theme)  ('light', 'dark', 'auto' or an object; see KCVSGraph.themes)
+  - setGrid(options)  ({xgrid, ygrid, y2grid}: true or 'minor'; see minorGrid)
+  - exportSVG(options), exportPNG(options)  (e.g. {scale: 3, filename: 'wave.png'})
+  - exportData(format), downloadData(format, filename), importData(text, format)
+    (format = 'csv' or 'json')
+  - on(event, handler), off(event)  (events: click, hover, lineAdded,
+    lineUpdated, lineRemoved, axisChanged, resize, pointsChanged, timeChanged,
+    brush)
   where "selector" is a CSS selector (ID with # or class with .).
   Note that only items contained within this graph are selected,
   even if the page has other items with the selected class.
@@ -77,18 +120,65 @@ function KCVSGraph(config) {
   this.xmax = 1;
   this.ymin = 0;
   this.ymax = 1;
+  this.title = ''; // Drawn above the graph.
+  this.subtitle = ''; // Drawn below the title.
+  this.caption = ''; // Drawn below the graph, e.g. for a source or a note.
   this.xlabel = '';
   this.ylabel = '';
   this.xticks = 5; // Number of ticks on axis.  Auto if 0.
   this.yticks = 5; // Number of ticks on axis.  Auto if 0.
   this.xtickFormat = null; // Number format for tick-mark labels.  See d3-format.
   this.ytickFormat = null; // Number format for tick-mark labels.  See d3-format.
+  this.xScaleType = 'linear'; // 'linear', 'log', 'symlog', 'pow' or 'time'.
+  this.yScaleType = 'linear'; // 'linear', 'log', 'symlog', 'pow' or 'time'.
+  this.xScaleExponent = 0.5; // Exponent for a 'pow' scale.
+  this.yScaleExponent = 0.5; // Exponent for a 'pow' scale.
+  this.xSymlogConstant = 1; // Width of the linear region of a 'symlog' scale.
+  this.ySymlogConstant = 1; // Width of the linear region of a 'symlog' scale.
+  this.y2axis = false; // If true, adds a secondary y-axis on the right.
+  this.y2min = 0; // Limits etc. for the secondary y-axis.  (A 'pow' or
+  this.y2max = 1; // 'symlog' y2ScaleType uses yScaleExponent or
+  this.y2label = ''; // ySymlogConstant.)
+  this.y2ticks = 5;
+  this.y2tickFormat = null;
+  this.y2ScaleType = 'linear';
+  this.x2axis = false; // If true, adds a secondary x-axis on top, in other units.
+  this.x2Transform = null; // x -> x2, e.g. 'nmToTHz'; see KCVSGraph.conversions.
+  this.x2label = '';
+  this.x2ticks = 5;
+  this.x2tickFormat = null;
   this.zeroLine = true; // If true, adds a line across y=0.
+  this.xgrid = false; // Gridlines at the x-axis ticks: true (or 'major'), or
+  this.ygrid = false; // 'minor' to add minor gridlines between them too.
+  this.y2grid = false;
+  this.minorGrid = 5; // Number of minor divisions between major gridlines.
   this.sortLinesByX = true; // Sort line data by increasing x value.
   this.fastTransition = 50; // Animation duration (ms)
   this.slowTransition = 600; // For slower animations, e.g. enter/exit.
+  this.autoResize = false; // If true, re-render when the container is resized.
+  this.aspectRatio = 0; // Width/height kept on resize.  If 0, see resize().
+  this.zoom = false; // If true, enables wheel/pinch zoom and drag-to-pan.
+  this.zoomAxis = 'xy'; // Axes affected by zooming: 'x', 'y' or 'xy'.
+  this.zoomExtent = [1, 20]; // Min. and max. zoom factors.
+  this.tracking = false; // If true, shows a crosshair and tooltip on hover.
+  this.brush = false; // If true, shift-drag selects a range (see enableBrush).
+  this.brushAxis = 'x'; // Axes brushed: 'x', 'y' or 'xy'.
+  this.legend = false; // If true, lists labelled lines in a legend.
+  this.legendPlacement = 'inside'; // 'inside' or 'outside' (right of) the plot area.
+  this.legendPosition = 'top-right'; // Corner for an inside legend, e.g. 'bottom-left'.
+  this.theme = 'auto'; // 'light', 'dark', 'auto' (follows .darkMode) or an object.
+  this.timeline = false; // If true, shows playback controls for t (see play).
+  this.tmin = 0; // Range of t for the playback timeline.
+  this.tmax = 10;
+  this.tstep = 0.1; // Step size for the step button and the scrubber.
+  this.speed = 1; // Playback speed, in t-units per second.
+  this.loop = true; // If true, playback starts over after tmax.
+  this.renderer = 'svg'; // 'svg', or 'canvas' to draw lines on a canvas (for big data).
+  this.downsample = 'none'; // 'lttb' or 'minmax' to thin out lines with many points.
+  this.downsamplePoints = 0; // Most points drawn per line.  Auto (2 x width) if 0.
   
   // Now check for overrides in config.
+  var configKeys = Object.keys(this); // (For toJSON.)
   for (var key in this) {
     if (config.hasOwnProperty(key)) {
       this[key] = config[key];
@@ -109,10 +199,23 @@ function KCVSGraph(config) {
   if (this.graphID == '') {
     this.graphID = this.containerID + "graph";
   }
+  
+  // Make room for the secondary y-axis, unless the margins were given.
+  if (this.y2axis && !config.hasOwnProperty('gmargin')) {
+    this.gmargin.right = 60;
+  }
+  // The top x-axis always needs room for its tick labels and axis label.
+  if (this.x2axis) {
+    this.gmargin = $.extend({}, this.gmargin, {top: Math.max(this.gmargin.top, 40)});
+  }
+  // The margins before any room is made for titles or an outside legend.
+  var configMargin = $.extend({}, this.gmargin);
 
   if (this.width == '') {
     this.width = $('#'+this.containerID).width();
   }
+  // Remember whether the height follows the container, for resize().
+  this.heightFromContainer = (this.height == '');
   if (this.height == '') {
     this.height = $('#'+this.containerID).height();
   }
@@ -131,16 +234,9 @@ function KCVSGraph(config) {
   // Follows Mike Bostock's "conventional margins" approach:
   //   https://bl.ocks.org/mbostock/3019563
 
-  // TODO: Change this into a "render" or "updateDimensions" function.
-  
-  // (Make the margins argument optional.)  This same function can be used to
-  // adjust size and spacing when the graph is resized (e.g. on window resize).
-  // Re-call the axis scales and the axis functions themselves to re-draw the
-  // axes in the proper font size.  A good example is here:
-  // https://blog.webkid.io/responsive-chart-usability-d3/ I think I'd also like
-  // to (by default) define the margins in terms of lines; I _think_ there's a
-  // way to get the "calculated height" and "calculated width" of an SVG text
-  // element, at least in D3...?
+  // The outer dimensions can be changed later with resize(), which re-runs
+  // updateDimensions() and redraw().  With autoResize, this happens
+  // automatically whenever the container changes size.
   
   this.setMargins = function(m) {
     this.gmargin.left = m.left;
@@ -162,10 +258,17 @@ function KCVSGraph(config) {
     .attr('preserveAspectRatio', 'xMidYMid meet')
     .attr('id', this.graphID)
     .classed('kcvsGraph', true)
+    .style('display', 'block') // No inline baseline gap below the SVG.
     .append("g")
       .attr('id', this.graphID+'Margin');
   this.setMargins(this.gmargin);
   
+  // Background (see theme).
+  this.background = d3.select('#'+this.graphID).insert('rect', ':first-child')
+    .attr('class', 'kcvsGraphBackground')
+    .attr('width', this.width)
+    .attr('height', this.height);
+  
   // Attach a clipPath to prevent drawing outside the graph.
   this.svg.append('clipPath')
     .attr('id', this.graphID+'Clip')
@@ -176,12 +279,50 @@ function KCVSGraph(config) {
   //////////////////////////////////////////////////
   // Create scales and axes.
   
-  this.xScale = d3.scaleLinear()
+  // Make a d3 scale of the given type (see xScaleType).
+  // INPUTS:
+  // - type: 'linear', 'log', 'symlog', 'pow' or 'time'.
+  // - exponent: exponent for 'pow' scales.
+  // - constant: constant for 'symlog' scales.
+  this.makeScale = function(type, exponent, constant) {
+    switch (type) {
+      case 'linear':
+        return d3.scaleLinear();
+      case 'log':
+        return d3.scaleLog();
+      case 'symlog':
+        return d3.scaleSymlog().constant(constant);
+      case 'pow':
+        return d3.scalePow().exponent(exponent);
+      case 'time':
+        return d3.scaleTime();
+      default:
+        console.error("Bork! Unknown scale type " + type + "; using 'linear'.");
+        return d3.scaleLinear();
+    }
+  }
+  
+  if (this.xScaleType === 'log' && !(this.xmin > 0)) {
+    console.error("Bork! A log x-axis needs xmin > 0.");
+  }
+  if (this.yScaleType === 'log' && !(this.ymin > 0)) {
+    console.error("Bork! A log y-axis needs ymin > 0.");
+  }
+  
+  this.xScale = this.makeScale(this.xScaleType, this.xScaleExponent, this.xSymlogConstant)
     .domain([this.xmin, this.xmax])
     .range([0, this.graphWidth]);
-  this.yScale = d3.scaleLinear()
+  this.yScale = this.makeScale(this.yScaleType, this.yScaleExponent, this.ySymlogConstant)
     .domain([this.ymin, this.ymax])
     .range([this.graphHeight, 0]);
+  if (this.y2axis) {
+    if (this.y2ScaleType === 'log' && !(this.y2min > 0)) {
+      console.error("Bork! A log y2-axis needs y2min > 0.");
+    }
+    this.y2Scale = this.makeScale(this.y2ScaleType, this.yScaleExponent, this.ySymlogConstant)
+      .domain([this.y2min, this.y2max])
+      .range([this.graphHeight, 0]);
+  }
 
   // D3 axis generators.
   // Used for modifying axis properties (tick marks etc).
@@ -190,6 +331,248 @@ function KCVSGraph(config) {
   
   if (this.xticks > 0) this.xAxis = this.xAxis.ticks(this.xticks, this.xtickFormat);
   if (this.yticks > 0) this.yAxis = this.yAxis.ticks(this.yticks, this.ytickFormat);
+  if (this.y2axis) {
+    this.y2Axis = d3.axisRight(this.y2Scale);
+    if (this.y2ticks > 0) this.y2Axis = this.y2Axis.ticks(this.y2ticks, this.y2tickFormat);
+  }
+  if (this.x2axis) {
+    // (See the secondary x-axis section below.)
+    this.x2Axis = d3.axisTop(x2Scale())
+      .tickFormat(d3.format(this.x2tickFormat || '~g'));
+  }
+  
+  // d3's symlog scale only has linear ticks, so pick powers of ten instead,
+  // and the top x-axis needs ticks for the current x-range.  Called again by
+  // redraw() whenever the axis limits change.
+  this.updateTicks = function() {
+    if (this.xScaleType === 'symlog') {
+      this.xAxis
+        .tickValues(symlogTicks(this.xScale, this.xticks || 10))
+        .tickFormat(d3.format(this.xtickFormat || '~g'));
+    }
+    if (this.yScaleType === 'symlog') {
+      this.yAxis
+        .tickValues(symlogTicks(this.yScale, this.yticks || 10))
+        .tickFormat(d3.format(this.ytickFormat || '~g'));
+    }
+    if (this.y2axis && this.y2ScaleType === 'symlog') {
+      this.y2Axis
+        .tickValues(symlogTicks(this.y2Scale, this.y2ticks || 10))
+        .tickFormat(d3.format(this.y2tickFormat || '~g'));
+    }
+    // The top x-axis ticks depend on the visible x-range.
+    if (this.x2axis) this.x2Axis.tickValues(x2TickValues(this.x2ticks || 5));
+  }
+  
+  // Tick values for a symlog scale: zero and (about count) powers of ten on
+  // either side, or linear ticks if the domain is within the linear region.
+  function symlogTicks(scale, count) {
+    var lo = d3.min(scale.domain());
+    var hi = d3.max(scale.domain());
+    var maxAbs = Math.max(Math.abs(lo), Math.abs(hi));
+    var pmin = Math.floor(Math.log10(scale.constant()));
+    var pmax = Math.floor(Math.log10(maxAbs));
+    if (!(pmax >= pmin)) return d3.ticks(lo, hi, count);
+    
+    var step = Math.max(1, Math.ceil((pmax - pmin + 1)/count));
+    var ticks = (lo <= 0 && hi >= 0) ? [0] : [];
+    for (var p = pmin; p <= pmax; p += step) {
+      var v = Math.pow(10, p);
+      if (v >= lo && v <= hi) ticks.push(v);
+      if (-v >= lo && -v <= hi) ticks.push(-v);
+    }
+    return ticks.length > 1 ? ticks : d3.ticks(lo, hi, count);
+  }
+  
+  
+  ////////////////////////////////////////////////////////////
+  // Secondary x-axis.  It shows the same positions as the x-axis in other
+  // units, x2 = forward(x), for any monotonic transform (x2Transform) such
+  // as frequency or photon energy for a wavelength axis.  Since x2 can be
+  // far from linear in x (e.g. f = c/wavelength), ticks are chosen at round
+  // x2 values spread evenly along the axis, rather than evenly in x2.
+
+  // The {forward, inverse} functions for x2Transform (which may be the name
+  // of one of KCVSGraph.conversions).
+  this.getX2Transform = function() {
+    var transform = this.x2Transform;
+    if (typeof transform === 'string') {
+      if (!KCVSGraph.conversions.hasOwnProperty(transform)) {
+        console.error("Bork! Unknown x2Transform " + transform + "; using none.");
+        transform = null;
+      } else {
+        transform = KCVSGraph.conversions[transform];
+      }
+    }
+    return transform || {
+      forward: function(x) { return x; },
+      inverse: function(x2) { return x2; }
+    };
+  }
+
+
+  // Convert between x and x2 values.
+  this.xToX2 = function(x) {
+    return this.getX2Transform().forward(+x);
+  }
+  this.x2ToX = function(x2) {
+    return this.getX2Transform().inverse(+x2);
+  }
+
+
+  // A scale for d3.axisTop that places x2 values through the x-scale.
+  function x2Scale() {
+    var scale = function(x2) { return theGraph.xScale(theGraph.x2ToX(x2)); };
+    scale.domain = function() { return theGraph.xScale.domain().map(theGraph.xToX2, theGraph); };
+    scale.range = function() { return theGraph.xScale.range(); };
+    scale.copy = function() {
+      // Keep the current positions, for transitions from them.
+      var xs = theGraph.xScale.copy();
+      var transform = theGraph.getX2Transform();
+      var copy = function(x2) { return xs(transform.inverse(x2)); };
+      copy.range = xs.range;
+      return copy;
+    };
+    return scale;
+  }
+
+
+  // Round x2 values about evenly spaced along the axis: the roundest value
+  // in each of count equal parts of it.
+  function x2TickValues(count) {
+    var range = theGraph.xScale.range();
+    var ticks = [];
+    for (var i = 0; i < count; i++) {
+      var a = theGraph.xToX2(theGraph.xScale.invert(range[0] + (range[1] - range[0])*i/count));
+      var b = theGraph.xToX2(theGraph.xScale.invert(range[0] + (range[1] - range[0])*(i + 1)/count));
+      if (!isFinite(a) || !isFinite(b) || a === b) continue; // e.g. c/0
+      var lo = Math.min(a, b);
+      var hi = Math.max(a, b);
+      // Fewer candidates means rounder ones; take the one nearest the middle.
+      var candidates = d3.ticks(lo, hi, 1);
+      if (candidates.length == 0) candidates = d3.ticks(lo, hi, 3);
+      var mid = (a + b)/2;
+      var best = d3.scan(candidates, function(u, v) {
+        return Math.abs(u - mid) - Math.abs(v - mid);
+      });
+      if (best !== undefined && ticks.indexOf(candidates[best]) < 0) {
+        ticks.push(candidates[best]);
+      }
+    }
+    return ticks;
+  }
+  
+  this.updateTicks();
+  
+  
+  ////////////////////////////////////////////////////////////
+  // Gridlines.  Major gridlines are drawn at the axis ticks, and minor ones
+  // divide each gap between them (on a log axis, at the intermediate
+  // 2, 3, ... 9 of each decade).  They're redrawn with the axes (see redraw)
+  // and coloured with the theme's grid and gridMinor.
+
+  // Underneath everything else (except shaded ranges; see addAnnotation).
+  this.gridG = this.svg.insert('g', ':first-child')
+    .attr('class', 'kcvsGrid')
+    .style('pointer-events', 'none');
+
+  // Turn gridlines on or off.
+  // INPUTS:
+  // - options: object with any of xgrid, ygrid, y2grid (false, true/'major'
+  //   or 'minor') and minorGrid (see the config).
+  this.setGrid = function(options) {
+    ['xgrid', 'ygrid', 'y2grid', 'minorGrid'].forEach(function(key) {
+      if (options.hasOwnProperty(key)) theGraph[key] = options[key];
+    });
+    this.drawGrid(0);
+  }
+
+
+  // Draw the gridlines for the current ticks.
+  // INPUTS:
+  // - duration: OPTIONAL transition time (ms).
+  this.drawGrid = function(duration) {
+    var grids = [
+      {axis: 'x', grid: this.xgrid, scale: this.xScale, generator: this.xAxis},
+      {axis: 'y', grid: this.ygrid, scale: this.yScale, generator: this.yAxis}
+    ];
+    if (this.y2axis) {
+      grids.push({axis: 'y2', grid: this.y2grid, scale: this.y2Scale, generator: this.y2Axis});
+    }
+    grids.forEach(function(g) {
+      var major = g.grid ? tickValues(g.scale, g.generator) : [];
+      var minor = (g.grid === 'minor') ? minorTickValues(g.scale, major, theGraph.minorGrid) : [];
+      theGraph.drawGridLines(g.axis, 'major', major, g.scale, duration);
+      theGraph.drawGridLines(g.axis, 'minor', minor, g.scale, duration);
+    });
+  }
+
+
+  this.drawGridLines = function(axis, kind, values, scale, duration) {
+    var vertical = (axis === 'x');
+    var lines = this.gridG.selectAll('.kcvsGridLine-' + axis + '.kcvsGridLine-' + kind)
+      .data(values, function(d) { return +d; });
+    lines.exit().remove();
+    var newLines = lines.enter().append('line')
+      .attr('class', 'kcvsGridLine kcvsGridLine-' + axis + ' kcvsGridLine-' + kind)
+      .attr('shape-rendering', 'crispEdges');
+    newLines.merge(lines)
+      .attr('stroke', this.themeColors[kind === 'major' ? 'grid' : 'gridMinor']);
+    
+    // New lines start where they belong; the others follow the axis.
+    var position = function(sel) {
+      if (vertical) {
+        sel
+          .attr('x1', function(d) { return scale(d); })
+          .attr('x2', function(d) { return scale(d); })
+          .attr('y1', 0)
+          .attr('y2', theGraph.graphHeight);
+      } else {
+        sel
+          .attr('x1', 0)
+          .attr('x2', theGraph.graphWidth)
+          .attr('y1', function(d) { return scale(d); })
+          .attr('y2', function(d) { return scale(d); });
+      }
+    };
+    position(newLines);
+    position(this.transitionOrNow(lines, duration));
+  }
+
+
+  // The tick values an axis generator draws.
+  function tickValues(scale, axis) {
+    if (axis.tickValues()) return axis.tickValues();
+    return scale.ticks ? scale.ticks.apply(scale, axis.tickArguments()) : scale.domain();
+  }
+
+
+  // Minor gridline values: n divisions between (and beyond) the major ones,
+  // within the axis limits.  On a log axis, d3's full set of log ticks.
+  function minorTickValues(scale, major, n) {
+    var domain = scale.domain().map(Number);
+    var lo = d3.min(domain);
+    var hi = d3.max(domain);
+    var isMajor = {};
+    major.forEach(function(v) { isMajor[+v] = true; });
+    var values = [];
+    if (scale.base) {
+      values = scale.ticks(); // 1, 2, ... 9 for each decade.
+    } else if (major.length > 1 && n > 1) {
+      var ticks = major.map(Number).sort(d3.ascending);
+      for (var i = -1; i < ticks.length; i++) {
+        // Gaps beyond the first and last ticks are as wide as their neighbours.
+        var a = (i < 0) ? 2*ticks[0] - ticks[1] : ticks[i];
+        var b = (i + 1 < ticks.length) ? ticks[i + 1] : 2*ticks[i] - ticks[i - 1];
+        for (var j = 1; j < n; j++) {
+          values.push(a + (b - a)*j/n);
+        }
+      }
+    }
+    return values.filter(function(v) {
+      return +v >= lo && +v <= hi && !isMajor[+v];
+    });
+  }
   
   // SVG groups containing each axis.
   this.xAxisG = this.svg.append('g')
@@ -197,21 +580,11 @@ function KCVSGraph(config) {
     .attr('id', this.graphID+'Xaxis')
     .attr('class', 'kcvsAxis xAxis')
     .call(this.xAxis);
-  if (this.xlabel.length > 0 && $(".darkMode")[0]) {
-    this.xAxisG.append('text')
-      .attr('transform', 'translate(' + this.graphWidth + ', 0)')
-      .attr('dy', '2.5em')
-      .attr('text-anchor', 'end')
-      .attr('fill', '#d2d2d2') // text color (?!)
-      .attr('class', 'kcvsAxisLabel')
-      .text(this.xlabel);
-  }
-  else if(this.xlabel.length > 0){
-    this.xAxisG.append('text')
+  if (this.xlabel.length > 0) {
+    this.xLabelText = this.xAxisG.append('text')
       .attr('transform', 'translate(' + this.graphWidth + ', 0)')
       .attr('dy', '2.5em')
       .attr('text-anchor', 'end')
-      .attr('fill', '#000') // text color (?!)
       .attr('class', 'kcvsAxisLabel')
       .text(this.xlabel);
   }
@@ -220,26 +593,144 @@ function KCVSGraph(config) {
     .attr('id', this.graphID+'Yaxis')
     .attr('class', 'kcvsAxis yAxis')
     .call(this.yAxis);
-  if (this.ylabel.length > 0 && $(".darkMode")[0]) {
+  if (this.ylabel.length > 0) {
     this.yAxisG.append('text')
       .attr('dy', '-2.5em')
       .attr('transform', 'rotate(-90)')
       .attr('text-anchor', 'end')
-      .attr('fill', '#d2d2d2') // text color (?!)
       .attr('class', 'kcvsAxisLabel')
       .text(this.ylabel);
   }
-  else if (this.ylabel.length > 0) {
-    this.yAxisG.append('text')
-      .attr('dy', '-2.5em')
-      .attr('transform', 'rotate(-90)')
-      .attr('text-anchor', 'end')
-      .attr('fill', '#000') // text color (?!)
-      .attr('class', 'kcvsAxisLabel')
-      .text(this.ylabel);
+  
+  if (this.y2axis) {
+    this.y2AxisG = this.svg.append('g')
+      .attr('transform', 'translate(' + this.graphWidth + ',0)')
+      .attr('id', this.graphID+'Y2axis')
+      .attr('class', 'kcvsAxis y2Axis')
+      .call(this.y2Axis);
+    if (this.y2label.length > 0) {
+      this.y2AxisG.append('text')
+        .attr('dy', '3.5em')
+        .attr('transform', 'rotate(-90)')
+        .attr('text-anchor', 'end')
+        .attr('class', 'kcvsAxisLabel')
+        .text(this.y2label);
+    }
+  }
+  
+  if (this.x2axis) {
+    this.x2AxisG = this.svg.append('g')
+      .attr('id', this.graphID+'X2axis')
+      .attr('class', 'kcvsAxis x2Axis')
+      .call(this.x2Axis);
+    if (this.x2label.length > 0) {
+      this.x2LabelText = this.x2AxisG.append('text')
+        .attr('transform', 'translate(' + this.graphWidth + ', 0)')
+        .attr('dy', '-2em')
+        .attr('text-anchor', 'end')
+        .attr('class', 'kcvsAxisLabel')
+        .text(this.x2label);
+    }
   }
   
 
+  ////////////////////////////////////////////////////////////
+  // Title, subtitle and caption.  They are drawn in the outer SVG (outside
+  // the margins), with the space they need added to the top and bottom
+  // margins.  The title and subtitle also give the SVG its accessible name,
+  // and the caption its description.
+
+  var headingSizes = {title: 24, subtitle: 18, caption: 18}; // Line heights (px)
+  this.headingSpace = {top: 0, bottom: 0}; // Space added to the margins.
+
+  // Change the title, subtitle and/or caption.  Any left out of options stay
+  // as they are; use '' to remove one.
+  this.setTitle = function(options) {
+    ['title', 'subtitle', 'caption'].forEach(function(key) {
+      if (options.hasOwnProperty(key)) theGraph[key] = options[key] || '';
+    });
+    
+    var root = d3.select('#'+this.graphID);
+    if (!this.headingG) {
+      this.headingG = root.append('g')
+        .attr('class', 'kcvsGraphHeadings')
+        .attr('aria-hidden', 'true'); // Read out from <title>/<desc> instead.
+    }
+    var parts = [
+      {key: 'title', size: 16, weight: 'bold'},
+      {key: 'subtitle', size: 12, weight: 'normal'},
+      {key: 'caption', size: 11, weight: 'normal'}
+    ].filter(function(p) { return theGraph[p.key].length > 0; });
+    var texts = this.headingG.selectAll('text')
+      .data(parts, function(p) { return p.key; });
+    texts.exit().remove();
+    texts.enter().append('text')
+      .attr('class', function(p) { return 'kcvsGraph' + p.key.charAt(0).toUpperCase() + p.key.slice(1); })
+      .attr('font-size', function(p) { return p.size + 'px'; })
+      .attr('font-weight', function(p) { return p.weight; })
+      .attr('fill', this.themeColors.label)
+      .merge(texts)
+        .text(function(p) { return theGraph[p.key]; });
+    
+    // Accessible name and description.
+    var name = [this.title, this.subtitle].filter(function(t) { return t.length > 0; }).join(': ');
+    this.a11yElement(root, 'title', name);
+    this.a11yElement(root, 'desc', this.caption);
+    root.attr('role', (name || this.caption) ? 'img' : null)
+      .attr('aria-labelledby', name ? this.graphID + 'A11ytitle' : null)
+      .attr('aria-describedby', this.caption ? this.graphID + 'A11ydesc' : null);
+    
+    // Make room, keeping the rest of the margins as they were.
+    var space = {
+      top: (this.title ? headingSizes.title : 0) + (this.subtitle ? headingSizes.subtitle : 0),
+      bottom: this.caption ? headingSizes.caption : 0
+    };
+    this.gmargin.top += space.top - this.headingSpace.top;
+    this.gmargin.bottom += space.bottom - this.headingSpace.bottom;
+    this.headingSpace = space;
+    this.updateDimensions();
+    this.redraw();
+  }
+
+
+  // Set the text of the SVG's <title> or <desc> element (tag), adding or
+  // removing the element as needed.
+  this.a11yElement = function(root, tag, text) {
+    var el = root.select(tag + '.kcvsGraphA11y');
+    if (!text) {
+      el.remove();
+      return;
+    }
+    if (el.empty()) {
+      // <title> and <desc> should be the first children, in that order.
+      var title = root.select('title.kcvsGraphA11y').node();
+      el = root.insert(tag, function() {
+        return (tag === 'desc' && title) ? title.nextSibling : this.firstChild;
+      })
+        .attr('class', 'kcvsGraphA11y')
+        .attr('id', this.graphID + 'A11y' + tag);
+    }
+    el.text(text);
+  }
+
+
+  // Place the title and subtitle centred over the plot area, and the caption
+  // at the bottom left.
+  this.positionHeadings = function() {
+    if (!this.headingG) return;
+    this.headingG.selectAll('text')
+      .attr('text-anchor', function(p) { return p.key === 'caption' ? 'start' : 'middle'; })
+      .attr('x', function(p) {
+        return (p.key === 'caption') ? theGraph.gmargin.left : theGraph.gmargin.left + theGraph.graphWidth/2;
+      })
+      .attr('y', function(p) {
+        if (p.key === 'title') return headingSizes.title - 6;
+        if (p.key === 'subtitle') return theGraph.headingSpace.top - 5;
+        return theGraph.height - 5;
+      });
+  }
+
+
   ////////////////////////////////////////////////////////////
   // General accessors
   
@@ -249,15 +740,36 @@ function KCVSGraph(config) {
   this.getYmin = function() { return theGraph.yScale.domain()[0]; }
   this.getYmax = function() { return theGraph.yScale.domain()[1]; }
   
+  // Which y-axis ('y' or 'y2') a line (DOM node) is plotted against.
+  this.lineYAxis = function(node) {
+    return node.getAttribute('data-yaxis') || 'y';
+  }
+  
+  // The scale for a y-axis ('y' or 'y2').
+  this.yScaleFor = function(yAxis) {
+    return (yAxis === 'y2') ? this.y2Scale : this.yScale;
+  }
+  
   
   //////////////////////////////////////////////////
   // Helper functions.  Mainly internal, but the x-generator is handy.
   
   // Generate the requested number of x-values spanning the current axis limits.
   // Includes xmin and xmax (so an odd number works best).
+  // On a non-linear axis, the values are evenly spaced on the screen.
   this.generateXarray = function(n) {
       // Initialize empty array.
       var x = new Array(n);
+      if (this.xScaleType !== 'linear') {
+        var range = this.xScale.range();
+        for (var i = 0; i < n; i++) {
+          x[i] = +this.xScale.invert(range[0] + i*(range[1] - range[0])/(n-1));
+        }
+        // Avoid round-off at the ends.
+        x[0] = +this.getXmin();
+        x[n-1] = +this.getXmax();
+        return x;
+      }
       // n values means n-1 intervals, and dx is the size of one interval.
       var dx = (this.getXmax() - this.getXmin())/(n-1);
       for (var i = 0; i < n; i++) {
@@ -267,18 +779,27 @@ function KCVSGraph(config) {
   }
 
   
+  // Like Number.isFinite, but also accepts valid Dates (for time axes).
+  this.isFiniteValue = function(v) {
+    if (v instanceof Date) return Number.isFinite(v.getTime());
+    return Number.isFinite(v);
+  }
+
+  
   // Combine two arrays into an array of {x,y} pairs for D3 to work with.
-  this.arrays2d3 = function(xname, x, yname, y) {
+  // extras: OPTIONAL object of more arrays to copy into the pairs, by name.
+  this.arrays2d3 = function(xname, x, yname, y, extras) {
     var pairs = d3.zip(x, y)
-      .map(function(d) { 
+      .map(function(d, i) { 
         var pair = {};
         pair[xname] = d[0];
         pair[yname] = d[1];
+        for (var name in extras) pair[name] = extras[name][i];
         return pair;
       });
     if (this.sortLinesByX) {
       pairs.sort(function(a,b) {
-        if (Number.isFinite(a[xname])) {
+        if (theGraph.isFiniteValue(a[xname])) {
           return a[xname] - b[xname];
         } else {
           return 0;
@@ -291,15 +812,18 @@ function KCVSGraph(config) {
 
   // Remove data points with Infinity's and NaN's.
   // Infinity's are replaced with y>ymax so you can see the graph go off-scale.
+  // finiteData.index holds each remaining point's position in the input.
   this.removeInfinity = function(x, y) {
-    var finiteData = {x:[], y:[]};
+    var finiteData = {x:[], y:[], index:[]};
     for (var i = 0; i < x.length; i++) {
-      if (Number.isFinite(x[i]) && Number.isFinite(y[i])) {
+      if (theGraph.isFiniteValue(x[i]) && theGraph.isFiniteValue(y[i])) {
         finiteData.x.push(x[i]);
         finiteData.y.push(y[i]);
+        finiteData.index.push(i);
       } else if (y[i] === Infinity) {
         finiteData.x.push(x[i]);
         finiteData.y.push(1.5*theGraph.getYmax());
+        finiteData.index.push(i);
       }
     }
     return finiteData;
@@ -317,43 +841,346 @@ function KCVSGraph(config) {
 
   
   // Line generator function for D3.
+  // Points that can't be shown on the axes (e.g. x <= 0 on a log scale) are
+  // left out, breaking the line.
   this.line = d3.line()
+    .defined(function(d){
+      return Number.isFinite(theGraph.xScale(d.x)) && Number.isFinite(theGraph.yScale(d.y));
+    })
     .x(function(d){ return theGraph.xScale(d.x); })
     .y(function(d){ return theGraph.yScale(d.y); });
   
+  // Same, for lines on the secondary y-axis.
+  this.line2 = d3.line()
+    .defined(function(d){
+      return Number.isFinite(theGraph.xScale(d.x)) && Number.isFinite(theGraph.y2Scale(d.y));
+    })
+    .x(function(d){ return theGraph.xScale(d.x); })
+    .y(function(d){ return theGraph.y2Scale(d.y); });
+  
+  // The line generator for a y-axis ('y' or 'y2').
+  this.lineGeneratorFor = function(yAxis) {
+    return (yAxis === 'y2') ? this.line2 : this.line;
+  }
+  
+  // Path data for the given line (DOM node).  With the canvas renderer,
+  // lines have no path data: this asks for the canvas to be redrawn instead.
+  this.pathFor = function(node, datapairs) {
+    if (this.renderer === 'canvas') {
+      this.requestCanvasRender();
+      return null;
+    }
+    return this.linePath(node, datapairs);
+  }
+
+  // Draw a line (DOM node) using its y-axis and its curve (data-curve =
+  // 'step', 'stepBefore' or 'stepAfter'; straight if none), downsampled if
+  // need be.  Returns the path data, or draws to a canvas context if given.
+  this.linePath = function(node, datapairs, context) {
+    var generator = this.lineGeneratorFor(this.lineYAxis(node));
+    var curve = stepCurves[node.getAttribute('data-curve')] || d3.curveLinear;
+    var path = generator.curve(curve).context(context || null)(this.downsamplePairs(datapairs));
+    generator.curve(d3.curveLinear).context(null);
+    return path;
+  }
+  var stepCurves = {
+    step: d3.curveStep,
+    stepBefore: d3.curveStepBefore,
+    stepAfter: d3.curveStepAfter
+  };
+  
   
+  ////////////////////////////////////////////////////////////
+  // Downsampling.  Lines with many points are drawn with fewer, which keeps
+  // big datasets (e.g. 100k points) fast.  The full data is kept, for
+  // tracking and exports.  Only the visible part of the line is drawn, so
+  // zooming in shows more detail.  With the 'lttb' method (Largest Triangle
+  // Three Buckets) the line keeps its shape; 'minmax' keeps the smallest and
+  // largest value in each pixel column, so no peaks are lost.  Lines are
+  // only downsampled if sortLinesByX is on.
+
+  this.downsamplePairs = function(pairs) {
+    if (this.downsample === 'none' || !this.sortLinesByX || !pairs) return pairs;
+    var limit = this.downsamplePoints || 2*Math.round(this.graphWidth);
+    if (pairs.length <= limit) return pairs;
+    
+    // The visible points, plus one on each side so the line reaches the edges.
+    var bisect = d3.bisector(function(d) { return d.x; });
+    var lo = Math.max(0, bisect.left(pairs, this.getXmin()) - 1);
+    var hi = Math.min(pairs.length, bisect.right(pairs, this.getXmax()) + 1);
+    var visible = pairs.slice(lo, hi);
+    if (visible.length <= limit) return visible;
+    
+    // Gaps (non-finite y) are kept: each run between gaps is thinned on its
+    // own, in proportion to its length.
+    var result = [];
+    var run = [];
+    var method = (this.downsample === 'minmax') ? minMaxPoints : lttbPoints;
+    var flush = function() {
+      if (run.length > 0) {
+        Array.prototype.push.apply(result,
+          method(run, Math.max(3, Math.round(limit*run.length/visible.length))));
+      }
+      run = [];
+    };
+    visible.forEach(function(d) {
+      if (Number.isFinite(+d.y)) {
+        run.push(d);
+      } else {
+        flush();
+        result.push(d);
+      }
+    });
+    flush();
+    return result;
+  }
+
+
+  // Largest Triangle Three Buckets: pick n of the points (sorted by x).
+  // See Steinarsson, "Downsampling Time Series for Visual Representation".
+  function lttbPoints(points, n) {
+    if (points.length <= n) return points;
+    var sampled = [points[0]];
+    var bucketSize = (points.length - 2)/(n - 2);
+    var a = 0; // Index of the last point picked.
+    for (var i = 0; i < n - 2; i++) {
+      // Average of the next bucket, as the third corner of the triangles.
+      var nextStart = Math.floor((i + 1)*bucketSize) + 1;
+      var nextEnd = Math.min(Math.floor((i + 2)*bucketSize) + 1, points.length);
+      var avgX = 0;
+      var avgY = 0;
+      for (var j = nextStart; j < nextEnd; j++) {
+        avgX += +points[j].x;
+        avgY += +points[j].y;
+      }
+      avgX /= (nextEnd - nextStart);
+      avgY /= (nextEnd - nextStart);
+      
+      // The point in this bucket making the largest triangle.
+      var start = Math.floor(i*bucketSize) + 1;
+      var end = Math.floor((i + 1)*bucketSize) + 1;
+      var ax = +points[a].x;
+      var ay = +points[a].y;
+      var maxArea = -1;
+      var picked = start;
+      for (j = start; j < end; j++) {
+        var area = Math.abs((ax - avgX)*(+points[j].y - ay) - (ax - +points[j].x)*(avgY - ay));
+        if (area > maxArea) {
+          maxArea = area;
+          picked = j;
+        }
+      }
+      sampled.push(points[picked]);
+      a = picked;
+    }
+    sampled.push(points[points.length-1]);
+    return sampled;
+  }
+
+
+  // Keep the first, smallest, largest and last point in each of about n/4
+  // buckets (in x order).
+  function minMaxPoints(points, n) {
+    var buckets = Math.max(1, Math.floor(n/4));
+    var x0 = +points[0].x;
+    var width = (+points[points.length-1].x - x0)/buckets || 1;
+    var result = [];
+    var i = 0;
+    while (i < points.length) {
+      var bucket = Math.min(buckets - 1, Math.floor((+points[i].x - x0)/width));
+      var first = i;
+      var min = i;
+      var max = i;
+      while (i < points.length &&
+             Math.min(buckets - 1, Math.floor((+points[i].x - x0)/width)) === bucket) {
+        if (points[i].y < points[min].y) min = i;
+        if (points[i].y > points[max].y) max = i;
+        i++;
+      }
+      // In x order, without repeats.
+      d3.set([first, min, max, i - 1]).values().map(Number).sort(d3.ascending)
+        .forEach(function(k) { result.push(points[k]); });
+    }
+    return result;
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Canvas renderer.  The axes, markers etc. stay in the SVG, but lines are
+  // drawn on a canvas underneath it, which is much faster for lines with
+  // many points.  The line elements stay in the SVG (without path data), so
+  // everything else works as before: IDs, classes, colours from CSS,
+  // visibility, the legend, tracking and exports.  Other series types are
+  // still drawn in SVG.  Changes are drawn once per animation frame, and
+  // without transitions.
+
+  // Switch between the 'svg' and 'canvas' renderers.
+  this.setRenderer = function(renderer) {
+    this.renderer = (renderer === 'canvas') ? 'canvas' : 'svg';
+    if (this.renderer === 'canvas' && !this.canvas) {
+      this.wrapper.css('position', 'relative');
+      // Positioned, so it is painted over the canvas.
+      d3.select('#'+this.graphID).style('position', 'relative');
+      this.canvas = d3.select(this.wrapper[0]).insert('canvas', ':first-child')
+        .attr('class', 'kcvsGraphCanvas')
+        .style('position', 'absolute')
+        .style('pointer-events', 'none');
+    }
+    if (this.canvas) this.canvas.style('display', this.renderer === 'canvas' ? null : 'none');
+    this.paintBackground();
+    this.positionCanvas();
+    this.redraw();
+  }
+
+
+  // Fill in the theme's background: on the SVG, or with the canvas renderer
+  // behind the canvas (on the wrapper), so it doesn't cover the lines.
+  this.paintBackground = function() {
+    var color = this.themeColors.background;
+    var onCanvas = (this.renderer === 'canvas');
+    this.background.attr('fill', onCanvas ? 'none' : color);
+    this.wrapper.css('background-color', (onCanvas && color !== 'none') ? color : '');
+  }
+
+
+  // Match the canvas to the plot area.
+  this.positionCanvas = function() {
+    if (!this.canvas) return;
+    var percent = function(a, b) { return (100*a/b) + '%'; };
+    this.canvas
+      .style('left', percent(this.gmargin.left, this.width))
+      .style('top', percent(this.gmargin.top, this.height))
+      .style('width', percent(this.graphWidth, this.width))
+      .style('height', percent(this.graphHeight, this.height));
+    // Enough pixels for the size it is shown at.
+    var scale = (this.wrapper.width() || this.width)/this.width*(window.devicePixelRatio || 1);
+    this.canvas
+      .attr('width', Math.max(1, Math.round(this.graphWidth*scale)))
+      .attr('height', Math.max(1, Math.round(this.graphHeight*scale)));
+    this.requestCanvasRender();
+  }
+
+
+  // Redraw the canvas on the next animation frame.
+  var canvasFrame = null;
+  this.requestCanvasRender = function() {
+    if (!this.canvas || canvasFrame !== null) return;
+    canvasFrame = window.requestAnimationFrame(function() {
+      canvasFrame = null;
+      theGraph.renderCanvas();
+    });
+  }
+
+
+  // Draw the visible lines on the canvas, with their SVG styles.
+  this.renderCanvas = function() {
+    if (!this.canvas) return;
+    var canvasNode = this.canvas.node();
+    var context = canvasNode.getContext('2d');
+    var scale = canvasNode.width/this.graphWidth;
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, canvasNode.width, canvasNode.height);
+    if (this.renderer !== 'canvas') return;
+    context.setTransform(scale, 0, 0, scale, 0, 0);
+    
+    d3.select('#'+this.graphID).selectAll('.kcvsGraphLine').each(function(data) {
+      if (!theGraph.isVisible(this) || !data) return;
+      var style = window.getComputedStyle(this);
+      var stroke = style.stroke || this.getAttribute('stroke');
+      if (!stroke || stroke === 'none') return;
+      var dashes = style.strokeDasharray || this.getAttribute('stroke-dasharray');
+      context.beginPath();
+      theGraph.linePath(this, data, context);
+      context.strokeStyle = stroke;
+      context.lineWidth = parseFloat(style.strokeWidth || this.getAttribute('stroke-width')) || 1;
+      context.setLineDash((dashes && dashes !== 'none') ? dashes.split(/[\s,]+/).map(parseFloat) : []);
+      context.globalAlpha = (parseFloat(style.opacity) || 1)*(parseFloat(style.strokeOpacity) || 1);
+      context.stroke();
+    });
+    context.globalAlpha = 1;
+  }
+
+
   // Add the appropriate clip-path attribute to any SVG element.  Also useful
   // when adding your own elements to an existing graph directly.
   // INPUT: selection is a D3 selection.
   this.applyClipPath = function(selection) {
     selection.attr('clip-path', 'url(#'+this.graphID+'Clip)');
   }
+
+
+  // Whether a line, function or series in this graph already uses the ID.
+  function idInUse(id) {
+    if (theGraph.series.hasOwnProperty(id)) return true;
+    var node = document.getElementById(id);
+    return !!node && $.contains(theGraph.svg.node(), node);
+  }
+
+
+  // Add an invisible rectangle that catches mouse/touch events over empty
+  // parts of the plot area (for zooming, tracking, etc.).  It sits underneath
+  // the lines and markers.  Only one is ever created.
+  this.addOverlay = function() {
+    if (!this.overlay) {
+      this.overlay = this.svg.insert('rect', ':first-child')
+        .attr('class', 'kcvsGraphOverlay')
+        .attr('width', this.graphWidth)
+        .attr('height', this.graphHeight)
+        .attr('fill', 'none')
+        .style('pointer-events', 'all');
+    }
+    return this.overlay;
+  }
   
   ////////////////////////////////////////////////////////////
   // Add another line to the graph.
   
   // At minimum, obj should contain "x" and "y" parallel arrays.
-  this.addLine = function(obj) {
-    var finiteData = this.removeInfinity(obj.x, obj.y);
-    var datapairs = this.arrays2d3('x', finiteData.x, 'y', finiteData.y);
-    var flatpairs = this.arrays2d3('x', finiteData.x, 'y', this.zeroArray(finiteData.x.length));
+  // Optional: id (unique within the graph), class, label (for the legend &
+  // tooltips), color.
+  // Without a color, lines take the next colour in the theme's palette.
+  // Set yAxis: 'y2' to plot against the secondary y-axis, and curve: 'step',
+  // 'stepBefore' or 'stepAfter' for a step line.
+  // - datapairs: OPTIONAL array of {x,y} pairs to use instead of obj.x and
+  //   obj.y.  These are used as-is, so points with y = NaN break the line.
+  this.addLine = function(obj, datapairs) {
+    if (obj.id && idInUse(obj.id)) {
+      console.error('Bork! There is already a series or line with id ' + obj.id);
+      return;
+    }
+    if (!datapairs) {
+      var finiteData = this.removeInfinity(obj.x, obj.y);
+      datapairs = this.arrays2d3('x', finiteData.x, 'y', finiteData.y, {index: finiteData.index});
+    }
+    var flatpairs = datapairs.map(function(d) { return {x: d.x, y: 0}; });
     
     var lineClasses = 'line kcvsGraphTempNewLine';
     if (obj.hasOwnProperty('class')) lineClasses = lineClasses + ' ' + obj.class;
     
+    var yAxis = 'y';
+    if (obj.yAxis === 'y2') {
+      if (this.y2axis) {
+        yAxis = 'y2';
+      } else {
+        console.error("Bork! Line " + obj.id + " is for the y2-axis, but y2axis is off.");
+      }
+    }
+    
     var newline = this.svg.append('path')
       .attr('class', lineClasses)
       .attr('clip-path', 'url(#'+this.graphID+'Clip)')
       .attr('fill', 'none')
-      .attr('stroke', 'black')
-      .attr('d', this.line(flatpairs))
+      .attr('stroke', obj.color || 'black')
+      .attr('data-yaxis', yAxis === 'y2' ? 'y2' : null)
+      .attr('data-curve', obj.curve || null)
+      .attr('d', function() { return theGraph.pathFor(this, flatpairs); })
       .datum(datapairs);
     
     d3.select('.kcvsGraphTempNewLine')
     .transition()
       .duration(this.slowTransition)
       .ease(d3.easeBackInOut)
-      .attr('d', this.line(datapairs));
+      .attr('d', function() { return theGraph.pathFor(this, datapairs); });
 
     newline.classed('kcvsGraphLine', true);
     newline.classed('kcvsGraphTempNewLine', false); // Remove the dummy class.
@@ -364,6 +1191,25 @@ function KCVSGraph(config) {
       newline.attr('id', ''); // Remove the dummy ID.
     }
     
+    // Without a color, use the next colour in the theme's palette.  The line
+    // is marked so it can be recoloured when the theme changes.  (The zero
+    // line takes the axis colour instead; see applyTheme.)
+    if (obj.class === 'kcvsZeroLine') {
+      newline.attr('stroke', this.themeColors.axis);
+    } else if (!obj.color) {
+      var paletteIndex = paletteCount++;
+      newline
+        .attr('data-palette-index', paletteIndex)
+        .attr('stroke', this.paletteColor(paletteIndex));
+    }
+    
+    // Lines with a label are listed in the legend.
+    if (obj.hasOwnProperty('label')) newline.attr('data-label', obj.label);
+    this.updateLegend();
+    
+    if (obj.xError || obj.yError) this.setErrors(obj.id, obj);
+    this.emit('lineAdded', {id: newline.attr('id'), node: newline.node()});
+    
     // Return the new line object for further adjustments.
     return newline;
   } // addLine function
@@ -385,6 +1231,7 @@ function KCVSGraph(config) {
       x = obj.x;
       y = obj.y;
       slowUpdate = obj.slowUpdate; // may be undefined.
+      if (obj.xError || obj.yError) this.errors[id] = errorOptions(obj);
     }
 
     var trans;
@@ -394,277 +1241,3534 @@ function KCVSGraph(config) {
       trans = theGraph.fastTransition;
     }
     var finiteData = this.removeInfinity(x, y);
-    var datapairs = theGraph.arrays2d3('x', finiteData.x, 'y', finiteData.y);
-    d3.select('#'+id)
-      .transition()
-      // .duration(theGraph.fastTransition)
-      .duration(trans)
-      .attr('d', theGraph.line(datapairs));
+    var datapairs = theGraph.arrays2d3('x', finiteData.x, 'y', finiteData.y, {index: finiteData.index});
+    this.setLineData(id, datapairs, trans);
   };
 
 
+  // Replace the data of the line with the given ID by an array of {x,y} pairs,
+  // over the given transition time (ms).
+  this.setLineData = function(id, datapairs, duration) {
+    var line = d3.select('#'+id)
+      .datum(datapairs); // Keep the data so the line can be redrawn later.
+    this.transitionOrNow(line, duration)
+      .attr('d', function() { return theGraph.pathFor(this, datapairs); });
+    theGraph.updateLegend(); // In case the line colour has changed.
+    theGraph.drawDependentSeries(id, duration);
+    if (theGraph.errors.hasOwnProperty(id)) theGraph.drawErrors(id, duration);
+    theGraph.emit('lineUpdated', {id: id, node: d3.select('#'+id).node()});
+  }
+
+
   ////////////////////////////////////////////////////////////
-  // Add or update a set of horizontal or vertical lines at the given positions.
-  // Each line gets the specified class; lines of this class will be added or
-  // removed automatically to match the number of entries.
-  // Note: vertical lines mark x-values, horizontal lines mark y-values.
+  // Streaming data.  appendPoints adds points to the end of a line (or a
+  // scatter, bar or area series) without redrawing it from scratch each
+  // time.  Points appended in the same animation frame are drawn together.
+
+  this.streams = {}; // Sliding-window options for each streamed line, by ID.
+  var pendingPoints = {}; // Points waiting for the next frame, by ID.
+  var streamFrame = null;
+
   // INPUTS:
-  // - markerClass: Class for the marker lines.
-  // - posArr: array of x- or y-values for each marker line.
-  // - axis: 'x' for vertical lines, 'y' for horizontal lines.
-  // - slowUpdate: OPTIONAL boolean.  If true, update uses slowTransition.
-  // RETURNS:
-  // - The D3 selection of affected marker lines.
-  // You can also pass the arguments in the form of a single object.
-  // If only one argument is provided, will assume it's such an object.
-  this.markerLines = function(markerClass, posArr, axis, slowUpdate) {
-    
-    // If the optiosn were passed in an object, parse it out.
-    if (arguments.length == 1) {
-      var obj = arguments[0];
-      markerClass = obj.markerClass;
-      posArr = obj.posArr;
-      axis = obj.axis;
-      slowUpdate = obj.slowUpdate; // may be undefined.
-    }
-    
-    if (axis !== 'x' && axis !== 'y') {
-      console.error('Bork! axis = ' + axis + ' but should be x or y.');
-      return;
+  // - id: ID of the line or series.
+  // - x, y: arrays of the new points' values (or single values).  They are
+  //   added in this order, after the existing points.
+  // - options: OPTIONAL, and kept for later calls for the same line:
+  //   - maxPoints: keep only the latest maxPoints points (default 1000).
+  //   - autoScroll: if true, the x-axis scrolls to keep the newest point
+  //     at the right-hand edge.
+  //   - xWindow: width of the x-axis range when scrolling.  Defaults to the
+  //     current range.
+  this.appendPoints = function(id, x, y, options) {
+    if (!Array.isArray(x)) x = [x];
+    if (!Array.isArray(y)) y = [y];
+    if (!this.streams.hasOwnProperty(id)) {
+      this.streams[id] = {maxPoints: 1000, autoScroll: false, xWindow: null};
     }
+    if (options) $.extend(this.streams[id], options);
     
-    // How far to shift the lines when moving on/off stage.
-    var yjump = 1.1*(theGraph.getYmax() - theGraph.getYmin());
-    
-    // Transition timings
-    var t;
-    if (slowUpdate) {
-      t = d3.transition().duration(this.slowTransition);
-    } else {
-      t = d3.transition().duration(this.fastTransition);
+    if (!pendingPoints.hasOwnProperty(id)) pendingPoints[id] = {x: [], y: []};
+    Array.prototype.push.apply(pendingPoints[id].x, x);
+    Array.prototype.push.apply(pendingPoints[id].y, y);
+    if (streamFrame === null) {
+      streamFrame = window.requestAnimationFrame(function() {
+        streamFrame = null;
+        theGraph.flushPoints();
+      });
     }
-    var tslow = d3.transition().duration(this.slowTransition);
-    var te = d3.easeBackOut.overshoot(1.2);
+  }
 
-    // Use the array indices as "keys" to identify lines during later updates.
-    // They aren't necessarily stored in array order, so we need this to update
-    // the correct lines!
-    var pos = posArr.map(function(p, i) {
-      // return {key: i, val: p};
-      point = {};
-      point.key = i;
-      if (axis === 'x') {
-        point.x1 = p;
-        point.x2 = p;
-        point.y1 = theGraph.getYmin();
-        point.y2 = theGraph.getYmax();
+
+  // Draw the points waiting to be added by appendPoints.  (Happens
+  // automatically on the next animation frame.)
+  this.flushPoints = function() {
+    var root = d3.select('#'+this.graphID);
+    var newestX = null;
+    var scroll = null;
+    for (var id in pendingPoints) {
+      var stream = this.streams[id];
+      var points = pendingPoints[id];
+      var node = root.select('#'+id);
+      if (node.empty() || !stream) continue;
+      
+      var finiteData = this.removeInfinity(points.x, points.y);
+      if (finiteData.x.length == 0) continue;
+      
+      if (this.series.hasOwnProperty(id)) {
+        this.appendSeriesPoints(this.series[id], points, stream.maxPoints);
+        this.drawSeries(id, 0);
+        this.emit('lineUpdated', {id: id, node: node.node()});
       } else {
-        point.x1 = theGraph.getXmin();
-        point.x2 = theGraph.getXmax();
-        point.y1 = p;
-        point.y2 = p;
+        // Number the new points after the old ones, so per-point error
+        // arrays still line up (new points have no errors of their own).
+        var old = node.datum() || [];
+        if (stream.nextIndex === undefined) {
+          stream.nextIndex = old.length ? d3.max(old, function(d) { return d.index; }) + 1 : 0;
+          if (isNaN(stream.nextIndex)) stream.nextIndex = old.length;
+        }
+        var added = this.arrays2d3('x', finiteData.x, 'y', finiteData.y, {
+          index: finiteData.index.map(function(i) { return stream.nextIndex + i; })
+        });
+        stream.nextIndex += points.x.length;
+        var kept = old.concat(added).slice(-stream.maxPoints);
+        if (kept.length < old.length + added.length) this.renumberStream(id, kept);
+        this.setLineData(id, kept, 0);
       }
-      return point;
-    });
+      
+      var lastX = finiteData.x[finiteData.x.length-1];
+      if (stream.autoScroll && (newestX === null || lastX > newestX)) {
+        newestX = lastX;
+        scroll = stream;
+      }
+    }
+    pendingPoints = {};
     
-    // JOIN new data with old elements.
+    // Scroll the x-axis if the newest point is past the right-hand edge.
+    if (scroll && newestX > this.getXmax()) {
+      var xWindow = scroll.xWindow || (this.getXmax() - this.getXmin());
+      var xmin = +newestX - xWindow;
+      if (xmin !== +this.getXmin() || +newestX !== +this.getXmax()) {
+        this.xScale.domain(this.xScaleType === 'time' ?
+          [new Date(xmin), new Date(+newestX)] : [xmin, +newestX]);
+        this.syncZoom();
+        this.redraw(0);
+      }
+    }
+  }
+
+
+  // Number the points kept in a streamed line's window from 0 again, and
+  // trim its per-point error arrays to match, so neither grows while points
+  // scroll off the front.
+  this.renumberStream = function(id, kept) {
+    var err = this.errors[id];
+    if (err) {
+      ['xError', 'yError'].forEach(function(key) {
+        if (!Array.isArray(err[key])) return;
+        var values = err[key];
+        err[key] = kept.map(function(d) { return values[d.index]; });
+      });
+    }
+    kept.forEach(function(d, i) { d.index = i; });
+    this.streams[id].nextIndex = kept.length;
+  }
+
+
+  // Add streamed points to a series, keeping the latest maxPoints.  Its
+  // per-point error arrays slide along with it (new points have no errors).
+  this.appendSeriesPoints = function(s, points, maxPoints) {
+    var oldLength = s.x.length;
+    var blanks = new Array(points.x.length);
+    var slide = function(values, added) {
+      return values.concat(added).slice(-maxPoints);
+    };
+    s.x = slide(s.x, points.x);
+    s.y = slide(s.y, points.y);
+    var err = this.errors[s.id];
+    if (err) {
+      ['xError', 'yError'].forEach(function(key) {
+        if (!Array.isArray(err[key])) return;
+        var values = err[key].slice(0, oldLength);
+        values.length = oldLength;
+        err[key] = slide(values, blanks);
+        if (s[key]) s[key] = err[key];
+      });
+    }
+    this.setSeriesData(s);
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Plot a function y = f(x).  The function is sampled across the visible
+  // part of the x-axis, with extra points wherever the curve bends sharply,
+  // and resampled whenever the axes change, so it looks smooth at any zoom.
+  // Jumps (e.g. at asymptotes) and values where f is NaN break the line;
+  // infinite values go off-scale, like removeInfinity.
+  
+  this.functions = {}; // f and options for each function line, by ID.
+
+  // INPUTS:
+  // - id: ID for the new line (required).
+  // - f: the function, taking and returning a number.  It is called as
+  //   f(x, t), with t the timeline's time (see the playback timeline), so
+  //   it can also be a function of time.
+  // - options: OPTIONAL object with
+  //   - xmin, xmax: only plot the function over this range.
+  //   - samples: number of evenly spaced starting points.  Default 100.
+  //   - tolerance: max. distance (px) between the curve and the line drawn
+  //     between two points before more points are added.  Default 0.5.
+  //   - maxDepth: max. number of times to halve the spacing.  Default 10.
+  //   - plus any addLine options (class, label, color, yAxis).
+  // RETURNS:
+  // - The D3 selection of the new line.
+  this.addFunction = function(id, f, options) {
+    options = options || {};
+    if (!(id && id.length > 0)) {
+      console.error('Bork! addFunction needs an id.');
+      return;
+    }
+    if (idInUse(id)) {
+      console.error('Bork! There is already a series or line with id ' + id);
+      return;
+    }
+    this.functions[id] = {f: f, options: options};
+    var obj = $.extend({}, options, {id: id});
+    obj.class = 'kcvsFunction' + (options.class ? ' ' + options.class : '');
+    return this.addLine(obj, this.sampleFunction(f, options));
+  }
+
+
+  // Resample a function line, e.g. because a parameter it uses has changed.
+  // INPUTS:
+  // - id: ID of the function line.
+  // - f: OPTIONAL new function.  If omitted, uses the current one.
+  // - slowUpdate: OPTIONAL boolean.  If true, update uses slowTransition.
+  this.updateFunction = function(id, f, slowUpdate) {
+    if (!this.functions.hasOwnProperty(id)) {
+      console.error('Bork! No function with ID ' + id);
+      return;
+    }
+    if (f) this.functions[id].f = f;
+    this.setLineData(id, this.sampleFunction(this.functions[id].f, this.functions[id].options),
+      slowUpdate ? this.slowTransition : this.fastTransition);
+  }
+
+
+  // Resample a function line and redraw it right away (no transition).
+  this.resampleFunction = function(id) {
+    d3.select('#'+this.graphID).select('#'+id)
+      .datum(this.sampleFunction(this.functions[id].f, this.functions[id].options))
+      .interrupt()
+      .attr('d', function(d) { return theGraph.pathFor(this, d); });
+  }
+
+
+  // Sample f over the visible x-range (see addFunction for the options).
+  // RETURNS:
+  // - Array of {x,y} pairs, with y = NaN where the line should break.
+  this.sampleFunction = function(f, options) {
+    var n = options.samples || 100;
+    var tolerance = options.tolerance || 0.5;
+    var maxDepth = (options.maxDepth === undefined) ? 10 : options.maxDepth;
+    var xScale = this.xScale;
+    var yScale = this.yScaleFor(options.yAxis);
+    
+    // Off-scale values, for infinities (and to keep huge values sane).
+    var ymin = +yScale.domain()[0];
+    var ymax = +yScale.domain()[1];
+    var ylow = ymin - 0.5*(ymax - ymin);
+    var yhigh = ymax + 0.5*(ymax - ymin);
+    var evaluate = function(x) {
+      var y = +f(x, theGraph.time);
+      if (y > yhigh) return yhigh;
+      if (y < ylow) return ylow;
+      return y; // May be NaN.
+    };
+    
+    // Work in pixels, so the spacing suits any kind of axis.
+    var pxmin = xScale.range()[0];
+    var pxmax = xScale.range()[1];
+    if (options.xmin !== undefined) pxmin = Math.max(pxmin, xScale(options.xmin));
+    if (options.xmax !== undefined) pxmax = Math.min(pxmax, xScale(options.xmax));
+    if (!(pxmax > pxmin)) return [];
+    // A jump this big, even after the maximum refinement, must be a break.
+    var jump = Math.abs(yScale.range()[0] - yScale.range()[1])/4;
+    
+    var points = [];
+    var addPoint = function(x, y) {
+      // One NaN is enough to break the line.
+      if (isNaN(y) && points.length > 0 && isNaN(points[points.length-1].y)) return;
+      points.push({x: x, y: y});
+    };
+    
+    // Add points between (x0,y0) and (x1,y1), not including either end.
+    var refine = function(px0, x0, y0, px1, x1, y1, depth) {
+      var pxm = (px0 + px1)/2;
+      var xm = +xScale.invert(pxm);
+      var ym = evaluate(xm);
+      var py0 = yScale(y0);
+      var py1 = yScale(y1);
+      var pym = yScale(ym);
+      var finite = Number.isFinite(py0) && Number.isFinite(py1) && Number.isFinite(pym);
+      
+      if (depth >= maxDepth) {
+        // Break the line at a jump, or where it becomes undefined.
+        if (!finite || Math.abs(py1 - py0) > jump) {
+          addPoint(xm, NaN);
+        }
+        return;
+      }
+      // Refine where the midpoint is far from the straight line, or where
+      // the curve starts or stops being defined.
+      if (!finite && (Number.isFinite(py0) || Number.isFinite(py1)) ||
+          finite && Math.abs(pym - (py0 + py1)/2) > tolerance) {
+        refine(px0, x0, y0, pxm, xm, ym, depth + 1);
+        addPoint(xm, ym);
+        refine(pxm, xm, ym, px1, x1, y1, depth + 1);
+      } else {
+        addPoint(xm, ym);
+      }
+    };
+    
+    var dpx = (pxmax - pxmin)/n;
+    var px0 = pxmin;
+    var x0 = +xScale.invert(px0);
+    var y0 = evaluate(x0);
+    addPoint(x0, y0);
+    for (var i = 1; i <= n; i++) {
+      var px1 = pxmin + i*dpx;
+      var x1 = +xScale.invert(px1);
+      var y1 = evaluate(x1);
+      refine(px0, x0, y0, px1, x1, y1, 0);
+      addPoint(x1, y1);
+      px0 = px1; x0 = x1; y0 = y1;
+    }
+    return points;
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Playback timeline.  Function lines (addFunction) are called as f(x, t),
+  // and the timeline moves t from tmin to tmax at speed t-units per second,
+  // redrawing them at most once per animation frame.  With the timeline
+  // config option, play/pause and step buttons, a speed menu and a scrubber
+  // are shown below the graph.  Each change of t fires a "timeChanged"
+  // event with {t}.
+
+  this.time = this.tmin; // Current value of t.
+  var timeFrame = null; // Pending animation frame for redrawing.
+  var playFrame = null; // Animation frame of the playback loop.
+
+  // Start playing from the current time.
+  this.play = function() {
+    if (this.playing) return;
+    this.playing = true;
+    if (this.time >= this.tmax && !this.loop) this.time = this.tmin;
+    var last = null;
+    var tick = function(now) {
+      if (last !== null) {
+        var t = theGraph.time + theGraph.speed*(now - last)/1000;
+        if (t > theGraph.tmax) {
+          if (theGraph.loop) {
+            t = theGraph.tmin + (t - theGraph.tmin) % (theGraph.tmax - theGraph.tmin);
+          } else {
+            t = theGraph.tmax;
+            theGraph.pause();
+          }
+        }
+        theGraph.setTime(t);
+      }
+      last = now;
+      if (theGraph.playing) playFrame = window.requestAnimationFrame(tick);
+    };
+    playFrame = window.requestAnimationFrame(tick);
+    this.updateTimelineControls();
+  }
+
+
+  this.pause = function() {
+    this.playing = false;
+    if (playFrame !== null) window.cancelAnimationFrame(playFrame);
+    playFrame = null;
+    this.updateTimelineControls();
+  }
+
+
+  this.togglePlay = function() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+
+  // Move t by n steps of tstep (default 1 step; negative goes back).
+  this.stepTime = function(n) {
+    if (n === undefined) n = 1;
+    this.setTime(this.time + n*this.tstep);
+  }
+
+
+  // Set t (kept between tmin and tmax) and redraw on the next frame.
+  this.setTime = function(t) {
+    this.time = Math.max(this.tmin, Math.min(this.tmax, t));
+    if (timeFrame === null) {
+      timeFrame = window.requestAnimationFrame(function() {
+        timeFrame = null;
+        for (var id in theGraph.functions) {
+          theGraph.resampleFunction(id);
+        }
+        theGraph.updateTimelineControls();
+        theGraph.emit('timeChanged', {t: theGraph.time});
+      });
+    }
+  }
+
+
+  // Playback speed, in t-units per second.
+  this.setSpeed = function(speed) {
+    this.speed = speed;
+    this.updateTimelineControls();
+  }
+
+
+  // Show the playback controls below the graph.
+  this.enableTimeline = function() {
+    if (this.timelineControls) return;
+    var controls = $('<div></div>')
+      .attr('class', 'kcvsTimeline')
+      .css({display: 'flex', 'align-items': 'center', gap: '0.5em'})
+      .insertAfter(this.wrapper); // Not in the wrapper, so it doesn't resize the plot.
+    $('<button type="button"></button>')
+      .attr('class', 'kcvsTimelinePlay')
+      .on('click', function() { theGraph.togglePlay(); })
+      .appendTo(controls);
+    $('<button type="button"></button>')
+      .attr('class', 'kcvsTimelineStep')
+      .attr('aria-label', 'Step')
+      .text('\u23ED')
+      .on('click', function() {
+        theGraph.pause();
+        theGraph.stepTime();
+      })
+      .appendTo(controls);
+    $('<input type="range">')
+      .attr('class', 'kcvsTimelineScrubber')
+      .attr('aria-label', 't')
+      .attr('min', this.tmin)
+      .attr('max', this.tmax)
+      .attr('step', this.tstep)
+      .css('flex', '1')
+      .on('input', function() {
+        var t = +this.value; // Read before pause() resets the scrubber.
+        theGraph.pause();
+        theGraph.setTime(t);
+      })
+      .appendTo(controls);
+    // Speeds are shown as multiples of the starting speed.
+    var speeds = $('<select></select>')
+      .attr('class', 'kcvsTimelineSpeed')
+      .attr('aria-label', 'Speed')
+      .data('baseSpeed', this.speed)
+      .on('change', function() { theGraph.setSpeed(+this.value); })
+      .appendTo(controls);
+    [0.25, 0.5, 1, 2, 4].forEach(function(factor) {
+      addSpeedOption(speeds, theGraph.speed*factor);
+    });
+    $('<span></span>')
+      .attr('class', 'kcvsTimelineTime')
+      .appendTo(controls);
+    this.timelineControls = controls;
+    this.updateTimelineControls();
+  }
+
+
+  this.disableTimeline = function() {
+    this.pause();
+    if (this.timelineControls) this.timelineControls.remove();
+    this.timelineControls = null;
+  }
+
+
+  // Show the current time, speed and play/pause state in the controls.
+  this.updateTimelineControls = function() {
+    var controls = this.timelineControls;
+    if (!controls) return;
+    controls.find('.kcvsTimelinePlay')
+      .text(this.playing ? '\u23F8' : '\u25B6')
+      .attr('aria-label', this.playing ? 'Pause' : 'Play');
+    controls.find('.kcvsTimelineScrubber').val(this.time);
+    // A speed set in code may not be in the list yet.
+    var speeds = controls.find('.kcvsTimelineSpeed');
+    var option = speeds.find('option').filter(function() { return +this.value === theGraph.speed; });
+    if (option.length === 0) option = addSpeedOption(speeds, this.speed);
+    option.prop('selected', true);
+    controls.find('.kcvsTimelineTime').text('t = ' + d3.format('.2f')(this.time));
+  }
+
+
+  // Add an option for the given speed to the speed menu, in order.
+  // RETURNS: the new option.
+  function addSpeedOption(speeds, speed) {
+    var option = $('<option></option>')
+      .attr('value', speed)
+      .text(+(speed/speeds.data('baseSpeed')).toPrecision(3) + '\u00D7');
+    var next = speeds.find('option').filter(function() { return +this.value > speed; }).first();
+    if (next.length) {
+      option.insertBefore(next);
+    } else {
+      option.appendTo(speeds);
+    }
+    return option;
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Other series types: scatter, bar, area and step.  These share one
+  // lifecycle: addSeries, updateSeries and removeSeries.
+  //
+  // obj needs id, type, and parallel arrays x and y.  Optional for all types:
+  // class, label, color, yAxis ('y2' for the secondary y-axis).  Also:
+  // - 'scatter': symbol ('circle', 'square', 'triangle', 'diamond', 'cross',
+  //   'star' or 'wye') and size (area in px^2).  Defaults: circle, 64.
+  // - 'bar': barGroup (bars in the same group are placed side by side, or
+  //   stacked if stacked is true), barWidth (in x-units; default 80% of the
+  //   smallest x spacing in the group).
+  // - 'area': fill down to y0 (a number or an array; default 0), or between
+  //   this series and another line or series (between: its ID).  opacity
+  //   sets the fill opacity (default 0.3).
+  // - 'step': drawn with addLine, with step: 'before', 'after' or 'middle'
+  //   (the default) to say where the steps happen.  Same as
+  //   addLine({..., curve: 'stepAfter'}) etc.
+
+  this.series = {}; // Options and data for each series, by ID.
+
+  // RETURNS:
+  // - The D3 selection of the new series' group (or path, for step lines).
+  this.addSeries = function(obj) {
+    if (obj.type === 'line' || obj.type === 'step') {
+      var lineObj = $.extend({}, obj);
+      if (obj.type === 'step') {
+        lineObj.curve = {before: 'stepBefore', after: 'stepAfter'}[obj.step] || 'step';
+      }
+      return this.addLine(lineObj);
+    }
+    if (!seriesDrawers.hasOwnProperty(obj.type)) {
+      console.error('Bork! Unknown series type ' + obj.type);
+      return;
+    }
+    if (!(obj.id && obj.id.length > 0)) {
+      console.error('Bork! addSeries needs an id.');
+      return;
+    }
+    if (idInUse(obj.id)) {
+      console.error('Bork! There is already a series or line with id ' + obj.id);
+      return;
+    }
+    
+    var s = $.extend({}, obj);
+    this.series[s.id] = s;
+    
+    var g = this.svg.append('g')
+      .attr('id', s.id)
+      .attr('class', 'kcvsSeries kcvsSeries-' + s.type + (s.class ? ' ' + s.class : ''))
+      .attr('data-yaxis', s.yAxis === 'y2' && this.y2axis ? 'y2' : null)
+      .attr('data-label', s.hasOwnProperty('label') ? s.label : null);
+    this.applyClipPath(g);
+    if (s.color) {
+      g.attr('fill', s.color).attr('stroke', s.color);
+    } else {
+      var paletteIndex = paletteCount++;
+      g.attr('data-palette-index', paletteIndex)
+        .attr('fill', this.paletteColor(paletteIndex))
+        .attr('stroke', this.paletteColor(paletteIndex));
+    }
+    
+    this.setSeriesData(s);
+    if (s.xError || s.yError) this.errors[s.id] = errorOptions(s);
+    this.drawSeries(s.id, this.slowTransition);
+    this.updateLegend();
+    this.emit('lineAdded', {id: s.id, node: g.node()});
+    return g;
+  }
+
+
+  // Update a series' data and/or options (any addSeries options, in obj).
+  // - slowUpdate: OPTIONAL boolean.  If true, update uses slowTransition.
+  this.updateSeries = function(id, obj, slowUpdate) {
+    var duration = slowUpdate ? this.slowTransition : this.fastTransition;
+    if (!this.series.hasOwnProperty(id)) {
+      // Lines (including step lines) are handled by updateLine.
+      this.updateLine(id, obj.x, obj.y, slowUpdate);
+      return;
+    }
+    var s = $.extend(this.series[id], obj, {id: id, type: this.series[id].type});
+    if (obj.xError || obj.yError) this.errors[id] = errorOptions(s);
+    if (obj.color) {
+      d3.select('#'+this.graphID).select('#'+id)
+        .attr('data-palette-index', null)
+        .attr('fill', obj.color)
+        .attr('stroke', obj.color);
+    }
+    this.setSeriesData(s);
+    this.drawSeries(id, duration);
+    this.drawDependentSeries(id, duration);
+    this.updateLegend();
+    this.emit('lineUpdated', {id: id, node: d3.select('#'+this.graphID).select('#'+id).node()});
+  }
+
+
+  // Remove a series (or line), fading it out.
+  this.removeSeries = function(id) {
+    if (!this.series.hasOwnProperty(id)) {
+      this.removeLines('#'+id);
+      return;
+    }
+    var s = this.series[id];
+    delete this.series[id];
+    delete this.streams[id];
+    this.removeErrors(id);
+    this.emit('lineRemoved', {id: id, node: d3.select('#'+this.graphID).select('#'+id).node()});
+    d3.select('#'+this.graphID).select('#'+id)
+      .attr('id', null) // So a new series can reuse the ID right away.
+      .classed('kcvsSeries', false)
+      .transition()
+        .duration(this.slowTransition)
+        .style('opacity', 1e-6)
+        .remove();
+    // The other bars in the group move to fill the gap.
+    if (s.type === 'bar') this.drawBarGroup(s.barGroup, this.slowTransition);
+    this.updateLegend();
+  }
+
+
+  // Clean up and sort a series' data, and attach it to its group.
+  this.setSeriesData = function(s) {
+    var finiteData = this.removeInfinity(s.x, s.y);
+    var pairs = this.arrays2d3('x', finiteData.x, 'y', finiteData.y, {index: finiteData.index});
+    pairs.forEach(function(d, i) { d.key = i; });
+    d3.select('#'+this.graphID).select('#'+s.id).datum(pairs);
+  }
+
+
+  // Draw a series from its data, over the given transition time (ms).
+  this.drawSeries = function(id, duration) {
+    var s = this.series[id];
+    var g = d3.select('#'+this.graphID).select('#'+id);
+    seriesDrawers[s.type](s, g, this.yScaleFor(s.yAxis), duration || 0);
+    if (this.errors.hasOwnProperty(id)) this.drawErrors(id, duration || 0);
+  }
+
+
+  // Redraw area series that are filled between themselves and series id.
+  this.drawDependentSeries = function(id, duration) {
+    for (var other in this.series) {
+      if (this.series[other].between === id) this.drawSeries(other, duration);
+    }
+  }
+
+
+  // Draw all bar series in a group (they affect each other's positions).
+  this.drawBarGroup = function(group, duration) {
+    layoutBars(group);
+    for (var id in this.series) {
+      var s = this.series[id];
+      if (s.type === 'bar' && s.barGroup === group) {
+        drawBars(s, d3.select('#'+this.graphID).select('#'+id), this.yScaleFor(s.yAxis), duration);
+        if (this.errors.hasOwnProperty(id)) this.drawErrors(id, duration);
+      }
+    }
+  }
+
+
+  var symbolTypes = {
+    circle: d3.symbolCircle,
+    square: d3.symbolSquare,
+    triangle: d3.symbolTriangle,
+    diamond: d3.symbolDiamond,
+    cross: d3.symbolCross,
+    star: d3.symbolStar,
+    wye: d3.symbolWye
+  };
+
+
+  function drawScatter(s, g, yScale, duration) {
+    var symbol = d3.symbol().type(symbolTypes[s.symbol] || d3.symbolCircle);
+    var size = s.size || 64;
+    var place = function(d) {
+      return 'translate(' + theGraph.xScale(d.x) + ',' + yScale(d.y) + ')';
+    };
+    
+    var points = g.selectAll('.kcvsSymbol')
+      .data(g.datum(), function(d) { return d.key; });
+    
+    points.exit()
+      .classed('kcvsSymbol', false)
+      .transition()
+        .duration(theGraph.slowTransition)
+        .attr('d', symbol.size(0)())
+        .style('opacity', 1e-6)
+        .remove();
+    
+    theGraph.transitionOrNow(points, duration)
+      .attr('transform', place)
+      .attr('d', symbol.size(size)());
+    
+    points.enter().append('path')
+      .attr('class', 'kcvsSymbol')
+      .attr('stroke', 'none')
+      .attr('transform', place)
+      .attr('d', symbol.size(0)())
+      .transition()
+        .duration(theGraph.slowTransition)
+        .ease(d3.easeBackOut.overshoot(1.2))
+        .attr('d', symbol.size(size)());
+  }
+
+
+  // Work out the left and right edges (xa, xb) and bottom and top (y0, y1)
+  // of every bar in a group.  Also sets d.top, for tracking.
+  function layoutBars(group) {
+    var members = [];
+    for (var id in theGraph.series) {
+      var s = theGraph.series[id];
+      if (s.type === 'bar' && s.barGroup === group) members.push(s);
+    }
+    if (members.length == 0) return;
+    var root = d3.select('#'+theGraph.graphID);
+    var data = members.map(function(s) { return root.select('#'+s.id).datum(); });
+    
+    // Default width: 80% of the smallest spacing between x-values.
+    var xs = [];
+    data.forEach(function(pairs) {
+      pairs.forEach(function(d) { xs.push(+d.x); });
+    });
+    xs = d3.set(xs).values().map(Number).sort(d3.ascending);
+    var spacing = d3.min(d3.pairs(xs), function(p) { return p[1] - p[0]; });
+    if (!spacing) spacing = (+theGraph.getXmax() - +theGraph.getXmin())/10;
+    var width = members[0].barWidth || 0.8*spacing;
+    
+    var stacked = members.some(function(s) { return s.stacked; });
+    var base = (theGraph.yScaleType === 'log') ? +theGraph.getYmin() : 0;
+    var posSums = {};
+    var negSums = {};
+    data.forEach(function(pairs, k) {
+      pairs.forEach(function(d) {
+        var x = +d.x;
+        if (stacked) {
+          var sums = (d.y >= 0) ? posSums : negSums;
+          var y0 = sums.hasOwnProperty(x) ? sums[x] : base;
+          d.xa = x - width/2;
+          d.xb = x + width/2;
+          d.y0 = y0;
+          d.y1 = y0 + d.y;
+          sums[x] = d.y1;
+        } else {
+          var slot = width/members.length;
+          d.xa = x - width/2 + k*slot;
+          d.xb = d.xa + slot;
+          d.y0 = base;
+          d.y1 = d.y;
+        }
+        d.top = d.y1;
+      });
+    });
+  }
+
+
+  function drawBars(s, g, yScale, duration) {
+    var xScale = theGraph.xScale;
+    var left = function(d) { return Math.min(xScale(d.xa), xScale(d.xb)); };
+    var width = function(d) { return Math.abs(xScale(d.xb) - xScale(d.xa)); };
+    var top = function(d) { return Math.min(yScale(d.y0), yScale(d.y1)); };
+    var height = function(d) { return Math.abs(yScale(d.y1) - yScale(d.y0)); };
+    
+    var bars = g.selectAll('.kcvsBar')
+      .data(g.datum(), function(d) { return d.key; });
+    
+    bars.exit()
+      .classed('kcvsBar', false)
+      .transition()
+        .duration(theGraph.slowTransition)
+        .attr('y', function(d) { return yScale(d.y0); })
+        .attr('height', 0)
+        .style('opacity', 1e-6)
+        .remove();
+    
+    theGraph.transitionOrNow(bars, duration)
+      .attr('x', left)
+      .attr('width', width)
+      .attr('y', top)
+      .attr('height', height);
+    
+    bars.enter().append('rect')
+      .attr('class', 'kcvsBar')
+      .attr('stroke', 'none')
+      .attr('x', left)
+      .attr('width', width)
+      .attr('y', function(d) { return yScale(d.y0); })
+      .attr('height', 0)
+      .transition()
+        .duration(theGraph.slowTransition)
+        .ease(d3.easeBackOut.overshoot(1.2))
+        .attr('y', top)
+        .attr('height', height);
+  }
+
+
+  // Bars are laid out as a group, so every bar in the group is redrawn.
+  function drawBarSeries(s, g, yScale, duration) {
+    theGraph.drawBarGroup(s.barGroup, duration);
+  }
+
+
+  // The bottom edge of an area at each of its points.
+  function areaBase(s, pairs) {
+    if (s.between) {
+      // Interpolate the other series' y-values at these x-values.
+      var other = d3.select('#'+theGraph.graphID).select('#'+s.between);
+      var otherPairs = other.empty() ? [] : other.datum();
+      if (!otherPairs || otherPairs.length == 0) return pairs.map(function() { return NaN; });
+      var bisect = d3.bisector(function(d) { return d.x; }).left;
+      return pairs.map(function(d) {
+        var i = bisect(otherPairs, d.x);
+        if (i <= 0) return otherPairs[0].y;
+        if (i >= otherPairs.length) return otherPairs[otherPairs.length-1].y;
+        var a = otherPairs[i-1];
+        var b = otherPairs[i];
+        return a.y + (b.y - a.y)*(d.x - a.x)/(b.x - a.x);
+      });
+    }
+    if (Array.isArray(s.y0)) return s.y0;
+    return pairs.map(function() { return s.y0 || 0; });
+  }
+
+
+  function drawArea(s, g, yScale, duration) {
+    var pairs = g.datum();
+    var base = areaBase(s, pairs);
+    pairs.forEach(function(d, i) { d.y0 = base[i]; });
+    var area = d3.area()
+      .defined(function(d) {
+        return Number.isFinite(theGraph.xScale(d.x)) &&
+          Number.isFinite(yScale(d.y)) && Number.isFinite(yScale(d.y0));
+      })
+      .x(function(d) { return theGraph.xScale(d.x); })
+      .y0(function(d) { return yScale(d.y0); })
+      .y1(function(d) { return yScale(d.y); });
+    
+    var path = g.select('.kcvsArea');
+    if (path.empty()) {
+      // ENTER: rise up from the base.
+      var flat = d3.area()
+        .defined(area.defined())
+        .x(area.x())
+        .y0(area.y0())
+        .y1(area.y0());
+      g.append('path')
+        .attr('class', 'kcvsArea')
+        .attr('stroke', 'none')
+        .attr('fill-opacity', (s.opacity === undefined) ? 0.3 : s.opacity)
+        .attr('d', flat(pairs))
+        .transition()
+          .duration(theGraph.slowTransition)
+          .ease(d3.easeBackInOut)
+          .attr('d', area(pairs));
+    } else {
+      theGraph.transitionOrNow(path, duration)
+        .attr('fill-opacity', (s.opacity === undefined) ? 0.3 : s.opacity)
+        .attr('d', area(pairs));
+    }
+  }
+
+
+  var seriesDrawers = {
+    scatter: drawScatter,
+    bar: drawBarSeries,
+    area: drawArea
+  };
+
+
+  ////////////////////////////////////////////////////////////
+  // Error bars and confidence bands.  Any line or series (addLine or
+  // addSeries) can carry per-point uncertainties in its options:
+  // - xError, yError: a number (the same for every point), an array with one
+  //   number per point (symmetric), or an array of [minus, plus] pairs, one
+  //   per point (asymmetric).  Use null for a point with no error.
+  // - errorStyle: 'bars' (the default) draws error bars with caps of
+  //   errorCap px (default 6).  'band' shades y +/- yError as a confidence
+  //   band (with fill opacity errorOpacity, default 0.2); xError is ignored.
+  // They can be changed later with updateLine/updateSeries (object form) or
+  // setErrors.  Bars in a bar series get their error bar at the top.
+
+  this.errors = {}; // Error options for each line or series, by ID.
+
+  // Set (or replace) the uncertainties of a line or series.
+  // INPUTS:
+  // - id: ID of the line or series.
+  // - obj: {xError, yError, errorStyle, errorCap, errorOpacity}.  With
+  //   neither xError nor yError, the error bars are removed.
+  this.setErrors = function(id, obj, slowUpdate) {
+    if (!(obj.xError || obj.yError)) {
+      this.removeErrors(id);
+      return;
+    }
+    this.errors[id] = errorOptions(obj);
+    this.drawErrors(id, slowUpdate ? this.slowTransition : this.fastTransition);
+  }
+
+
+  // Remove the error bars (or band) of a line or series.
+  this.removeErrors = function(id) {
+    if (!this.errors.hasOwnProperty(id)) return;
+    delete this.errors[id];
+    d3.select('#'+this.graphID).selectAll(errorSelector(id))
+      .attr('data-series', null)
+      .transition()
+        .duration(this.slowTransition)
+        .style('opacity', 1e-6)
+        .remove();
+  }
+
+
+  // Draw the error bars or band of a line or series from its data.
+  this.drawErrors = function(id, duration) {
+    var root = d3.select('#'+this.graphID);
+    var node = root.select('#'+id).node();
+    var err = this.errors[id];
+    if (!node || !err) return;
+    var yScale = this.yScaleFor(this.lineYAxis(node));
+    var xScale = this.xScale;
+    var color = window.getComputedStyle(node).stroke || node.getAttribute('stroke');
+    if (!color || color === 'none') color = node.getAttribute('fill');
+    
+    // Each point's centre (bars in a bar series are offset and stacked)
+    // and the ends of its error bars, in data units.
+    var points = node.__data__.map(function(d) {
+      var x = (d.xa !== undefined) ? (+d.xa + +d.xb)/2 : d.x;
+      var y = (d.top !== undefined) ? d.top : d.y;
+      var ex = errorAt(err.xError, d.index);
+      var ey = errorAt(err.yError, d.index);
+      return {
+        key: d.index,
+        x: x,
+        y: y,
+        x0: ex ? x - ex[0] : null,
+        x1: ex ? x + ex[1] : null,
+        y0: ey ? y - ey[0] : null,
+        y1: ey ? y + ey[1] : null
+      };
+    });
+    
+    var g = root.select(errorSelector(id));
+    if (g.empty()) {
+      // Insert below the series itself.
+      g = this.svg.insert('g', function() { return node; })
+        .attr('class', 'kcvsErrors')
+        .attr('data-series', id)
+        .style('display', this.isVisible(node) ? null : 'none');
+      this.applyClipPath(g);
+    }
+    g.attr('stroke', color).attr('fill', color);
+    
+    if (err.style === 'band') {
+      g.selectAll('.kcvsErrorBar').remove();
+      var banded = points.filter(function(p) { return p.y0 !== null; })
+        .sort(function(a, b) { return a.x - b.x; });
+      var area = d3.area()
+        .defined(function(p) {
+          return Number.isFinite(xScale(p.x)) && Number.isFinite(yScale(p.y0)) &&
+            Number.isFinite(yScale(p.y1));
+        })
+        .x(function(p) { return xScale(p.x); })
+        .y0(function(p) { return yScale(p.y0); })
+        .y1(function(p) { return yScale(p.y1); });
+      var band = g.select('.kcvsErrorBand');
+      if (band.empty()) {
+        // ENTER: fade in.
+        g.append('path')
+          .attr('class', 'kcvsErrorBand')
+          .attr('stroke', 'none')
+          .attr('fill-opacity', err.opacity)
+          .attr('d', area(banded))
+          .style('opacity', 1e-6)
+          .transition()
+            .duration(this.slowTransition)
+            .style('opacity', 1);
+      } else {
+        this.transitionOrNow(band, duration)
+          .attr('fill-opacity', err.opacity)
+          .attr('d', area(banded))
+          .style('opacity', 1);
+      }
+      return;
+    }
+    
+    g.selectAll('.kcvsErrorBand').remove();
+    var cap = err.cap;
+    var barPath = function(p) {
+      var px = xScale(p.x);
+      var py = yScale(p.y);
+      var path = '';
+      if (p.y0 !== null) {
+        var ya = yScale(p.y0);
+        var yb = yScale(p.y1);
+        path += 'M' + px + ',' + ya + 'V' + yb;
+        if (cap > 0) {
+          path += 'M' + (px - cap/2) + ',' + ya + 'h' + cap +
+            'M' + (px - cap/2) + ',' + yb + 'h' + cap;
+        }
+      }
+      if (p.x0 !== null) {
+        var xa = xScale(p.x0);
+        var xb = xScale(p.x1);
+        path += 'M' + xa + ',' + py + 'H' + xb;
+        if (cap > 0) {
+          path += 'M' + xa + ',' + (py - cap/2) + 'v' + cap +
+            'M' + xb + ',' + (py - cap/2) + 'v' + cap;
+        }
+      }
+      // Points off the scale (e.g. <= 0 on a log axis) are left out.
+      return /NaN|Infinity/.test(path) ? null : (path || null);
+    };
+    
+    var bars = g.selectAll('.kcvsErrorBar')
+      .data(points, function(p) { return p.key; });
+    
+    bars.exit()
+      .classed('kcvsErrorBar', false)
+      .transition()
+        .duration(this.slowTransition)
+        .style('opacity', 1e-6)
+        .remove();
+    
+    this.transitionOrNow(bars, duration)
+      .attr('d', barPath)
+      .style('opacity', 1);
+    
+    bars.enter().append('path')
+      .attr('class', 'kcvsErrorBar')
+      .attr('fill', 'none')
+      .attr('d', barPath)
+      .style('opacity', 1e-6)
+      .transition()
+        .duration(this.slowTransition)
+        .style('opacity', 1);
+  }
+
+
+  // Selector for the error bars of a line or series.
+  function errorSelector(id) {
+    return '.kcvsErrors[data-series="' + id + '"]';
+  }
+
+
+  // Error options from addLine/addSeries-style options, with defaults.
+  function errorOptions(obj) {
+    return {
+      xError: obj.xError || null,
+      yError: obj.yError || null,
+      style: obj.errorStyle === 'band' ? 'band' : 'bars',
+      cap: (obj.errorCap === undefined) ? 6 : obj.errorCap,
+      opacity: (obj.errorOpacity === undefined) ? 0.2 : obj.errorOpacity
+    };
+  }
+
+
+  // The [minus, plus] error of point i, or null if it has none.
+  function errorAt(error, i) {
+    if (error === null || error === undefined) return null;
+    var e = Array.isArray(error) ? error[i] : error;
+    if (e === null || e === undefined) return null;
+    if (Array.isArray(e)) return [+e[0], +e[1]];
+    return [+e, +e];
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Add or update a set of horizontal or vertical lines at the given positions.
+  // Each line gets the specified class; lines of this class will be added or
+  // removed automatically to match the number of entries.
+  // Note: vertical lines mark x-values, horizontal lines mark y-values.
+  // INPUTS:
+  // - markerClass: Class for the marker lines.
+  // - posArr: array of x- or y-values for each marker line.
+  // - axis: 'x' for vertical lines, 'y' for horizontal lines.
+  // - slowUpdate: OPTIONAL boolean.  If true, update uses slowTransition.
+  // - options: OPTIONAL object, to let the user drag the lines:
+  //   - draggable: true to turn dragging on, false to turn it off.  (If left
+  //     out, later calls for the same class keep the current setting.)
+  //   - snap: OPTIONAL step size (e.g. 10 snaps to multiples of 10), array of
+  //     allowed values, or function(value) returning the snapped value.
+  //   - onDrag: OPTIONAL function(value, index) called as a line is dragged.
+  //   - onChange: OPTIONAL function(value, index) called when a drag ends
+  //     with the line in a new place.
+  //   Dragged lines stay within the current axis limits.  index is the
+  //   line's position in posArr.
+  // RETURNS:
+  // - The D3 selection of affected marker lines.
+  // You can also pass the arguments in the form of a single object
+  // ({markerClass, posArr, axis, slowUpdate} plus any of the options).
+  // If only one argument is provided, will assume it's such an object.
+  this.markerLines = function(markerClass, posArr, axis, slowUpdate, options) {
+    
+    // If the optiosn were passed in an object, parse it out.
+    if (arguments.length == 1) {
+      var obj = arguments[0];
+      markerClass = obj.markerClass;
+      posArr = obj.posArr;
+      axis = obj.axis;
+      slowUpdate = obj.slowUpdate; // may be undefined.
+      options = obj;
+    }
+    
+    if (axis !== 'x' && axis !== 'y') {
+      console.error('Bork! axis = ' + axis + ' but should be x or y.');
+      return;
+    }
+    
+    // How far to shift the lines when moving on/off stage.
+    var yjump = 1.1*(theGraph.getYmax() - theGraph.getYmin());
+    
+    // Transition timings
+    var t;
+    if (slowUpdate) {
+      t = d3.transition().duration(this.slowTransition);
+    } else {
+      t = d3.transition().duration(this.fastTransition);
+    }
+    var tslow = d3.transition().duration(this.slowTransition);
+    var te = d3.easeBackOut.overshoot(1.2);
+
+    // Use the array indices as "keys" to identify lines during later updates.
+    // They aren't necessarily stored in array order, so we need this to update
+    // the correct lines!
+    var pos = posArr.map(function(p, i) {
+      return theGraph.markerLineEnds({key: i, axis: axis, val: p});
+    });
+    
+    // JOIN new data with old elements.
     var lines = this.svg.selectAll('.'+markerClass)
       .data(pos, function(d){ return d.key; });
     
     // EXIT old elements not present in new data.
-    lines.exit()
+    // (Drop the marker class first so redraw() leaves them alone.)
+    lines.exit()
+      .classed('kcvsMarkerLine', false)
+      .transition(tslow)
+        .ease(te)
+        .style('opacity', 1e-6)
+        .attr('y1', function(d) {return theGraph.yScale(d.y1+yjump); })
+        .attr('y2', function(d) {return theGraph.yScale(d.y2+yjump); })
+        .remove();
+    
+    // UPDATE old elements present in new data.
+    lines.transition(t)
+      .ease(te)
+      .style('opacity', 1)
+      .attr('x1', function(d) { return theGraph.xScale(d.x1); })
+      .attr('x2', function(d) { return theGraph.xScale(d.x2); })
+      .attr('y1', function(d) { return theGraph.yScale(d.y1); })
+      .attr('y2', function(d) { return theGraph.yScale(d.y2); })
+      .attr('data-n', function(d) { return d.key; });
+    
+    // ENTER new elements present in new data.
+    lines.enter().append('line') // SVG line object.
+      .style('opacity', 1e-6)
+      .attr('class', markerClass + ' kcvsMarkerLine')
+      .attr('clip-path', 'url(#'+this.graphID+'Clip)')
+      .attr('fill', 'none')
+      .attr('x1', function(d) { return theGraph.xScale(d.x1); })
+      .attr('x2', function(d) { return theGraph.xScale(d.x2); })
+      .attr('y1', function(d) {return theGraph.yScale(d.y1+yjump); })
+      .attr('y2', function(d) {return theGraph.yScale(d.y2+yjump); })
+      .transition(tslow)
+        .ease(te)
+        .style('opacity', 1)
+        .attr('y1', function(d) { return theGraph.yScale(d.y1); })
+        .attr('y2', function(d) { return theGraph.yScale(d.y2); });
+    
+    if (options && options.hasOwnProperty('draggable')) {
+      if (options.draggable) {
+        this.markerDrag[markerClass] = {
+          snap: options.snap,
+          onDrag: options.onDrag,
+          onChange: options.onChange
+        };
+      } else {
+        delete this.markerDrag[markerClass];
+      }
+    }
+    this.markerHandles(markerClass, pos);
+    
+    return lines;
+  } // markerLines function
+
+
+  ////////////////////////////////////////////////////////////
+  // Dragging marker lines.  A thin line is hard to grab, so each draggable
+  // marker line gets an invisible, wider "handle" line on top of it.  The
+  // handles share their marker lines' data, so redraw() moves them too.
+
+  this.markerDrag = {}; // Drag options for each draggable marker class.
+  var markerHandleWidth = 12; // px
+
+  // Add, move or remove the drag handles for a class of marker lines.
+  this.markerHandles = function(markerClass, pos) {
+    var dragOptions = this.markerDrag[markerClass];
+    var handles = this.svg.selectAll('.' + markerClass + 'Handle')
+      .data(dragOptions ? pos : [], function(d) { return d.key; });
+    handles.exit().remove();
+    handles.enter().append('line')
+      .attr('class', markerClass + 'Handle kcvsMarkerLine kcvsMarkerHandle')
+      .attr('stroke', 'transparent')
+      .attr('stroke-width', markerHandleWidth)
+      .style('cursor', function(d) { return d.axis === 'x' ? 'ew-resize' : 'ns-resize'; })
+      .call(d3.drag()
+        .on('start', function(d) { d.dragStart = d.val; })
+        .on('drag', function(d) { theGraph.dragMarker(markerClass, d); })
+        .on('end', function(d) {
+          var opts = theGraph.markerDrag[markerClass];
+          if (opts && opts.onChange && d.val !== d.dragStart) opts.onChange(d.val, d.key);
+        }))
+      .merge(handles)
+        .attr('x1', function(d) { return theGraph.xScale(d.x1); })
+        .attr('x2', function(d) { return theGraph.xScale(d.x2); })
+        .attr('y1', function(d) { return theGraph.yScale(d.y1); })
+        .attr('y2', function(d) { return theGraph.yScale(d.y2); });
+  }
+
+
+  // Move a marker line (datum d of its handle) to follow the pointer.
+  this.dragMarker = function(markerClass, d) {
+    var opts = this.markerDrag[markerClass];
+    if (!opts) return;
+    var scale = (d.axis === 'x') ? this.xScale : this.yScale;
+    var value = scale.invert(d.axis === 'x' ? d3.event.x : d3.event.y);
+    var domain = scale.domain();
+    var lo = d3.min(domain);
+    var hi = d3.max(domain);
+    value = snapValue(clampValue(value, lo, hi), opts.snap, lo, hi);
+    if (value === d.val) return;
+    
+    d.val = value;
+    this.svg.selectAll('.' + markerClass + ', .' + markerClass + 'Handle')
+      .filter(function(e) { return e.key === d.key; })
+      .interrupt()
+      .each(function(e) {
+        e.val = value;
+        theGraph.markerLineEnds(e);
+      })
+      .attr('x1', function(e) { return theGraph.xScale(e.x1); })
+      .attr('x2', function(e) { return theGraph.xScale(e.x2); })
+      .attr('y1', function(e) { return theGraph.yScale(e.y1); })
+      .attr('y2', function(e) { return theGraph.yScale(e.y2); })
+      .style('opacity', function() { return d3.select(this).classed('kcvsMarkerHandle') ? null : 1; });
+    if (opts.onDrag) opts.onDrag(value, d.key);
+  }
+
+
+  function clampValue(value, lo, hi) {
+    return Math.max(lo, Math.min(hi, value));
+  }
+
+
+  // Snap a value to a step size, to the nearest of an array of values, or
+  // with a function, staying within [lo, hi].
+  function snapValue(value, snap, lo, hi) {
+    if (typeof snap === 'function') return clampValue(snap(value), lo, hi);
+    if (Array.isArray(snap)) {
+      var allowed = snap.filter(function(v) { return v >= lo && v <= hi; });
+      if (allowed.length == 0) return value;
+      return allowed.reduce(function(best, v) {
+        return Math.abs(v - value) < Math.abs(best - value) ? v : best;
+      });
+    }
+    if (snap > 0) {
+      var snapped = Math.round(value/snap)*snap;
+      if (snapped > hi) snapped -= snap;
+      if (snapped < lo) snapped += snap;
+      return snapped;
+    }
+    return value;
+  }
+
+
+  // Set the end points of a marker line (datum with axis & val) so that it
+  // spans the current axis limits.  Returns the same datum.
+  this.markerLineEnds = function(d) {
+    if (d.axis === 'x') {
+      d.x1 = d.val;
+      d.x2 = d.val;
+      d.y1 = theGraph.getYmin();
+      d.y2 = theGraph.getYmax();
+    } else {
+      d.x1 = theGraph.getXmin();
+      d.x2 = theGraph.getXmax();
+      d.y1 = d.val;
+      d.y2 = d.val;
+    }
+    return d;
+  }
+  
+  
+
+  ////////////////////////////////////////////////////////////
+  // Add or update a set of circles at the given positions and sizes. Each
+  // circle gets the specified class; circles of this class will be added or
+  // removed automatically to match the number of entries.  Positions are
+  // specified as parallel arrays of x- and y-values.  Note that x and y are
+  // in appropriate data units, but r should be in pixels.  The delay is in case
+  // you want e.g. the marker circles to appear after the lines are in place.
+  // (It may be worth modifying this later to work for arbitrary shapes.)
+  // INPUTS:
+  // - circleClass: Class for the circles.
+  // - x, y: Parallel arrays of x and y values for the circles.
+  // - r: Circle radius in PIXELS.  Can be a single value, or an array.
+  // - delay: OPTIONAL delay time.  Defaults to 0.
+  // - slowUpdate: OPTIONAL boolean.  If true, update uses slowTransition.
+  // - options: OPTIONAL object, to let the user edit the points by dragging
+  //   them, or with the arrow keys once a point has focus:
+  //   - editable: true to turn editing on, false to turn it off.  (If left
+  //     out, later calls for the same class keep the current setting.)
+  //   - constraints: OPTIONAL object for all points, or an array with one
+  //     per point, of {fixedX, fixedY, xmin, xmax, ymin, ymax}.  Points
+  //     also stay within the current axis limits.
+  //   - nudge: OPTIONAL {x, y} step for the arrow keys, in data units
+  //     (milliseconds on a time axis).
+  //     Defaults to 1/100 of the axis range.  Shift+arrow moves 10 steps.
+  //   After each edit, the graph fires a "pointsChanged" event (see on())
+  //   with {circleClass, index, x, y}: the edited point's index, and the
+  //   updated x and y arrays, in the order they were passed in.
+  // RETURNS:
+  // - The D3 selection of affected circles.
+  // You can also pass the arguments in the form of a single object
+  // ({circleClass, x, y, r, delay, slowUpdate} plus any of the options).
+  this.markerCircles = function(circleClass, x, y, r, delay, slowUpdate, options) {
+    
+    // If the optiosn were passed in an object, parse it out.
+    if (arguments.length == 1) {
+      var obj = arguments[0];
+      circleClass = obj.circleClass;
+      x = obj.x;
+      y = obj.y;
+      r = obj.r;
+      delay = obj.delay;
+      slowUpdate = obj.slowUpdate; // may be undefined.
+      options = obj;
+    }
+    
+    // Transition timings.
+    var t;
+    if (slowUpdate) {
+      t = d3.transition().duration(this.slowTransition);
+    } else {
+      t = d3.transition().duration(this.fastTransition);
+    }
+    var tslow = d3.transition().duration(this.slowTransition);
+    var te = d3.easeBackOut.overshoot(1.2);
+
+    if (delay) {
+      t.delay(delay);
+      tslow.delay(delay);
+    }
+
+    // Make the array of long-format data points for D3 to work with.
+    // (index is each point's position in the x and y arrays.)
+    var dataPairs = this.arrays2d3('x', x, 'y', y, {index: d3.range(x.length)});
+    
+    // Attach extra information to each point.
+    for (var i = 0; i < dataPairs.length; i++) {
+      if (Array.isArray(r)) {
+        dataPairs[i].r = r[i];
+      } else {
+        dataPairs[i].r = r;
+      }
+      // Use the array indices as "keys" to identify items during later updates.
+      // They aren't necessarily stored in array order, so we need this to update
+      // the correct items!
+      dataPairs[i].key = i;
+    }
+    
+    //////////////////////////////
+    // Add/update the shapes!  Note that the location of an SVG circle is 
+    // specified by (cx,cy) attributes.
+    
+    // JOIN new data with old elements.
+    var shapes = this.svg.selectAll('.'+circleClass)
+      .data(dataPairs, function(d){ return d.key; });
+    
+    // EXIT old elements not present in new data.
+    shapes.exit()
+      .classed('kcvsMarkerCircle', false)
       .transition(tslow)
         .ease(te)
         .style('opacity', 1e-6)
-        .attr('y1', function(d) {return theGraph.yScale(d.y1+yjump); })
-        .attr('y2', function(d) {return theGraph.yScale(d.y2+yjump); })
+        .attr('r', 0)
+        .remove();
+    
+    // UPDATE old elements present in the new data.
+    shapes.transition(t)
+      .ease(te)
+      .style('opacity', 1)
+      .attr('cx', function(d) { return theGraph.xScale(d.x); })
+      .attr('cy', function(d) { return theGraph.yScale(d.y); })
+      .attr('r', function(d) { return d.r; })
+      .attr('data-n', function(d) { return d.key; });
+    
+    // ENTER new elements present in new data.
+    shapes.enter().append('circle')
+      .attr('class', circleClass + ' kcvsMarkerCircle')
+      .attr('clip-path', 'url(#'+this.graphID+'Clip)')
+      .attr('cx', function(d) { return theGraph.xScale(d.x); })
+      .attr('cy', function(d) { return theGraph.yScale(d.y); })
+      .style('opacity', 1e-6)
+      .attr('r', 1e-6)
+      .transition(tslow)
+        .ease(te)
+        .style('opacity', 1)
+        .attr('r', function(d) { return d.r; });
+    
+    if (options && options.hasOwnProperty('editable')) {
+      if (options.editable) {
+        this.editablePoints[circleClass] = {
+          constraints: options.constraints || {},
+          nudge: options.nudge || {}
+        };
+      } else {
+        delete this.editablePoints[circleClass];
+      }
+    }
+    this.setPointsEditable(circleClass);
+    
+    return shapes;
+  } // markerCircles function
+
+
+  ////////////////////////////////////////////////////////////
+  // Editing marker circles by dragging, or with the arrow keys.
+
+  this.editablePoints = {}; // Edit options for each editable circle class.
+
+  // Turn dragging and keyboard editing on or off for a class of circles,
+  // to match editablePoints.
+  this.setPointsEditable = function(circleClass) {
+    var circles = this.svg.selectAll('.'+circleClass+'.kcvsMarkerCircle');
+    if (!this.editablePoints[circleClass]) {
+      circles
+        .on('.drag', null)
+        .on('keydown.kcvsEdit', null)
+        .attr('tabindex', null)
+        .style('cursor', null);
+      return;
+    }
+    circles
+      .attr('tabindex', 0) // So the points can take focus for the keyboard.
+      .style('cursor', 'move')
+      .call(d3.drag()
+        // Drag from where the point is drawn, not from its data values.
+        .subject(function(d) {
+          return {x: theGraph.xScale(d.x), y: theGraph.yScale(d.y)};
+        })
+        .on('start', function() { this.focus(); })
+        .on('drag', function(d) {
+          theGraph.movePoint(circleClass, d,
+            theGraph.xScale.invert(d3.event.x), theGraph.yScale.invert(d3.event.y));
+        })
+        .on('end', function(d) {
+          theGraph.pointsChanged(circleClass, d);
+        }))
+      .on('keydown.kcvsEdit', function(d) {
+        var opts = theGraph.editablePoints[circleClass];
+        var steps = {ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowDown: [0, -1], ArrowUp: [0, 1]};
+        var step = steps[d3.event.key];
+        if (!opts || !step) return;
+        d3.event.preventDefault(); // Don't scroll the page.
+        var factor = d3.event.shiftKey ? 10 : 1;
+        var dx = opts.nudge.x || (theGraph.getXmax() - theGraph.getXmin())/100;
+        var dy = opts.nudge.y || (theGraph.getYmax() - theGraph.getYmin())/100;
+        // (+d.x, so Dates on a time axis move by milliseconds; see movePoint.)
+        if (theGraph.movePoint(circleClass, d, +d.x + step[0]*dx*factor, d.y + step[1]*dy*factor)) {
+          theGraph.pointsChanged(circleClass, d);
+        }
+      });
+  }
+
+
+  // Move an editable point (datum d) towards (x, y), within its constraints
+  // and the axis limits.  RETURNS true if the point moved.
+  // On a time axis, x can be a Date or a number of milliseconds; the point
+  // keeps a Date.
+  this.movePoint = function(circleClass, d, x, y) {
+    var opts = this.editablePoints[circleClass];
+    if (!opts) return false;
+    var c = Array.isArray(opts.constraints) ? (opts.constraints[d.index] || {}) : opts.constraints;
+    var xDomain = this.xScale.domain();
+    var yDomain = this.yScale.domain();
+    var isDate = d.x instanceof Date;
+    x = c.fixedX ? +d.x : clampValue(+x,
+      Math.max(d3.min(xDomain), c.hasOwnProperty('xmin') ? c.xmin : -Infinity),
+      Math.min(d3.max(xDomain), c.hasOwnProperty('xmax') ? c.xmax : Infinity));
+    y = c.fixedY ? d.y : clampValue(y,
+      Math.max(d3.min(yDomain), c.hasOwnProperty('ymin') ? c.ymin : -Infinity),
+      Math.min(d3.max(yDomain), c.hasOwnProperty('ymax') ? c.ymax : Infinity));
+    if (x === +d.x && y === d.y) return false;
+    if (isDate) x = new Date(x);
+    
+    d.x = x;
+    d.y = y;
+    d.moved = true;
+    this.svg.selectAll('.'+circleClass+'.kcvsMarkerCircle')
+      .filter(function(e) { return e === d; })
+      .interrupt()
+      .attr('cx', this.xScale(x))
+      .attr('cy', this.yScale(y))
+      .attr('r', d.r)
+      .style('opacity', 1);
+    return true;
+  }
+
+
+  // Fire the "pointsChanged" event for a class of circles after point d has
+  // been edited.
+  this.pointsChanged = function(circleClass, d) {
+    if (!d.moved) return;
+    d.moved = false;
+    var x = [];
+    var y = [];
+    this.svg.selectAll('.'+circleClass+'.kcvsMarkerCircle').each(function(e) {
+      x[e.index] = e.x;
+      y[e.index] = e.y;
+    });
+    this.emit('pointsChanged', {circleClass: circleClass, index: d.index, x: x, y: y});
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Annotations, positioned in data units so they follow the axes.
+  // obj.type is one of:
+  // - 'text': text at (x, y).  Optional anchor ('start', 'middle' or 'end'),
+  //   and dx, dy offsets in px.
+  // - 'arrow': an arrow from (x1, y1) to (x2, y2), with its head at (x2, y2).
+  // - 'xRange': a shaded band from x1 to x2, full height.
+  // - 'yRange': a shaded band from y1 to y2, full width.
+  // - 'callout': text in a box, dx, dy px away (default 30, -30) from the
+  //   point (x, y), with a line to the point.
+  // Optional for all: id, class, text (a label, for ranges), color,
+  // opacity (the fill opacity of ranges, default 0.15), yAxis ('y2' for the
+  // secondary y-axis), and clip (default true; false lets the annotation
+  // show outside the plot area).  Ranges are drawn underneath the lines,
+  // everything else on top.
+
+  this.annotations = {}; // Options for each annotation, by ID.
+  var annotationCount = 0;
+
+  // Layers for the annotations.  They ignore the mouse, so they don't get in
+  // the way of zooming, tracking or dragging.
+  this.annotationsBelow = this.svg.insert('g', ':first-child')
+    .attr('class', 'kcvsAnnotations kcvsAnnotationsBelow')
+    .style('pointer-events', 'none');
+  this.annotationsAbove = this.svg.append('g')
+    .attr('class', 'kcvsAnnotations kcvsAnnotationsAbove')
+    .style('pointer-events', 'none');
+
+  // RETURNS:
+  // - The annotation's ID.
+  this.addAnnotation = function(obj) {
+    if (!annotationDrawers.hasOwnProperty(obj.type)) {
+      console.error('Bork! Unknown annotation type ' + obj.type);
+      return;
+    }
+    var a = $.extend({}, obj);
+    if (!a.id) a.id = this.graphID + 'Annotation' + (annotationCount++);
+    this.annotations[a.id] = a;
+    
+    var isRange = (a.type === 'xRange' || a.type === 'yRange');
+    var layer;
+    if (isRange) {
+      layer = this.annotationsBelow.lower();
+    } else {
+      layer = this.annotationsAbove.raise(); // On top of lines added since.
+    }
+    var g = layer.append('g')
+      .attr('id', a.id)
+      .attr('class', 'kcvsAnnotation kcvsAnnotation-' + a.type + (a.class ? ' ' + a.class : ''))
+      .style('opacity', 1e-6);
+    if (a.clip !== false) this.applyClipPath(g);
+    
+    this.drawAnnotation(a.id, 0);
+    g.transition()
+      .duration(this.slowTransition)
+      .style('opacity', 1);
+    return a.id;
+  }
+
+
+  // Change an annotation's options (any addAnnotation options, in obj).
+  // - slowUpdate: OPTIONAL boolean.  If true, update uses slowTransition.
+  this.updateAnnotation = function(id, obj, slowUpdate) {
+    if (!this.annotations.hasOwnProperty(id)) {
+      console.error('Bork! No annotation ' + id);
+      return;
+    }
+    var a = $.extend(this.annotations[id], obj, {id: id, type: this.annotations[id].type});
+    d3.select('#'+this.graphID).select('#'+id)
+      .attr('clip-path', a.clip === false ? null : 'url(#'+this.graphID+'Clip)');
+    this.drawAnnotation(id, slowUpdate ? this.slowTransition : this.fastTransition);
+  }
+
+
+  // Remove an annotation, fading it out.
+  this.removeAnnotation = function(id) {
+    delete this.annotations[id];
+    d3.select('#'+this.graphID).select('#'+id)
+      .attr('id', null)
+      .transition()
+        .duration(this.slowTransition)
+        .style('opacity', 1e-6)
         .remove();
+  }
+
+
+  // Position an annotation from its options, over the given time (ms).
+  this.drawAnnotation = function(id, duration) {
+    var a = this.annotations[id];
+    var g = d3.select('#'+this.graphID).select('#'+id);
+    var color = a.color || this.themeColors.label;
+    annotationDrawers[a.type](a, g, this.yScaleFor(a.yAxis), color, duration || 0);
+  }
+
+
+  // Add the child with the given tag and class to g, if it isn't there yet.
+  // RETURNS the child.
+  function annotationPart(g, tag, className) {
+    var part = g.select(tag + '.' + className);
+    if (part.empty()) part = g.append(tag).attr('class', className);
+    return part;
+  }
+
+
+  function drawAnnotationText(a, g, yScale, color, duration) {
+    var text = annotationPart(g, 'text', 'kcvsAnnotationText')
+      .attr('fill', color)
+      .attr('text-anchor', a.anchor || 'start')
+      .attr('dx', a.dx || 0)
+      .attr('dy', a.dy || 0)
+      .text(a.text);
+    theGraph.transitionOrNow(text, duration)
+      .attr('x', theGraph.xScale(a.x))
+      .attr('y', yScale(a.y));
+  }
+
+
+  function drawAnnotationArrow(a, g, yScale, color, duration) {
+    var x1 = theGraph.xScale(a.x1);
+    var y1 = yScale(a.y1);
+    var x2 = theGraph.xScale(a.x2);
+    var y2 = yScale(a.y2);
+    // Arrowhead: a triangle pointing along the line, at its end.
+    var size = 8;
+    var angle = Math.atan2(y2 - y1, x2 - x1);
+    var corner = function(da) {
+      return (x2 - size*Math.cos(angle + da)) + ',' + (y2 - size*Math.sin(angle + da));
+    };
+    var head = 'M' + x2 + ',' + y2 + 'L' + corner(0.4) + 'L' + corner(-0.4) + 'Z';
+    
+    theGraph.transitionOrNow(annotationPart(g, 'line', 'kcvsAnnotationLine'), duration)
+      .attr('stroke', color)
+      .attr('x1', x1)
+      .attr('y1', y1)
+      .attr('x2', x2)
+      .attr('y2', y2);
+    theGraph.transitionOrNow(annotationPart(g, 'path', 'kcvsAnnotationHead'), duration)
+      .attr('fill', color)
+      .attr('d', head);
+  }
+
+
+  function drawAnnotationRange(a, g, yScale, color, duration) {
+    var horizontal = (a.type === 'xRange');
+    var p1 = horizontal ? theGraph.xScale(a.x1) : yScale(a.y1);
+    var p2 = horizontal ? theGraph.xScale(a.x2) : yScale(a.y2);
+    var rect = annotationPart(g, 'rect', 'kcvsAnnotationRange')
+      .attr('fill', color)
+      .attr('fill-opacity', (a.opacity === undefined) ? 0.15 : a.opacity);
+    if (horizontal) {
+      theGraph.transitionOrNow(rect, duration)
+        .attr('x', Math.min(p1, p2))
+        .attr('width', Math.abs(p2 - p1))
+        .attr('y', 0)
+        .attr('height', theGraph.graphHeight);
+    } else {
+      theGraph.transitionOrNow(rect, duration)
+        .attr('x', 0)
+        .attr('width', theGraph.graphWidth)
+        .attr('y', Math.min(p1, p2))
+        .attr('height', Math.abs(p2 - p1));
+    }
+    
+    // A label at the top (xRange) or the right (yRange) of the band.
+    if (a.text === undefined) {
+      g.select('.kcvsAnnotationText').remove();
+      return;
+    }
+    var label = annotationPart(g, 'text', 'kcvsAnnotationText')
+      .attr('fill', color)
+      .attr('text-anchor', horizontal ? 'middle' : 'end')
+      .attr('dy', horizontal ? '1.2em' : '-0.3em')
+      .text(a.text);
+    theGraph.transitionOrNow(label, duration)
+      .attr('x', horizontal ? (p1 + p2)/2 : theGraph.graphWidth - 4)
+      .attr('y', horizontal ? 0 : Math.min(p1, p2));
+  }
+
+
+  function drawAnnotationCallout(a, g, yScale, color, duration) {
+    var padding = 4;
+    var px = theGraph.xScale(a.x);
+    var py = yScale(a.y);
+    var bx = px + ((a.dx === undefined) ? 30 : a.dx);
+    var by = py + ((a.dy === undefined) ? -30 : a.dy);
+    
+    var line = annotationPart(g, 'line', 'kcvsAnnotationLine');
+    var box = annotationPart(g, 'rect', 'kcvsAnnotationBox');
+    var text = annotationPart(g, 'text', 'kcvsAnnotationText')
+      .attr('fill', color)
+      .attr('dy', '0.35em')
+      .text(a.text);
+    text.raise(); // On top of the box.
+    var size = text.node().getBBox();
+    
+    theGraph.transitionOrNow(line, duration)
+      .attr('stroke', color)
+      .attr('x1', px)
+      .attr('y1', py)
+      .attr('x2', bx)
+      .attr('y2', by);
+    theGraph.transitionOrNow(box, duration)
+      .attr('fill', theGraph.themeColors.tooltipBackground)
+      .attr('stroke', color)
+      .attr('rx', 3)
+      .attr('x', bx)
+      .attr('y', by - size.height/2 - padding)
+      .attr('width', size.width + 2*padding)
+      .attr('height', size.height + 2*padding);
+    theGraph.transitionOrNow(text, duration)
+      .attr('x', bx + padding)
+      .attr('y', by);
+  }
+
+
+  var annotationDrawers = {
+    text: drawAnnotationText,
+    arrow: drawAnnotationArrow,
+    xRange: drawAnnotationRange,
+    yRange: drawAnnotationRange,
+    callout: drawAnnotationCallout
+  };
+
+
+  ////////////////////////////////////////////////////////////
+  // Hide or show lines or other items, by ID or by class.
+  // Hidden items get the class kcvsGraph-hide and display: none.
+
+  // Hide lines or other items, by ID or by class.
+  // INPUTS:
+  // - selector: CSS selector.  An ID should start with #, a class with .
+  //   (A DOM node also works.)
+  this.hideItems = function(selector) {
+    this.setVisible(selector, false);
+  }
+
+  // Show lines or other items, by ID or by class.
+  // INPUTS:
+  // - selector: CSS selector.  An ID should start with #, a class with .
+  //   (A DOM node also works.)
+  this.showItems = function(selector) {
+    this.setVisible(selector, true);
+  }
+
+  // Show or hide lines or other items.
+  // INPUTS:
+  // - selector: CSS selector or DOM node.
+  // - visible: boolean.  If omitted, toggles each item.
+  this.setVisible = function(selector, visible) {
+    var items;
+    if (typeof selector === 'string') {
+      items = d3.select('#'+theGraph.graphID).selectAll(selector);
+    } else {
+      items = d3.select(selector);
+    }
+    items.each(function() {
+      var show = (visible === undefined) ? !theGraph.isVisible(this) : visible;
+      d3.select(this)
+        .classed('kcvsGraph-hide', !show)
+        .style('display', show ? null : 'none');
+      // Error bars follow their series.
+      d3.select('#'+theGraph.graphID).selectAll(errorSelector(this.id))
+        .style('display', show ? null : 'none');
+    });
+    this.updateLegend();
+    this.requestCanvasRender();
+  }
+
+  // Whether a line or other item (DOM node) is currently shown.
+  this.isVisible = function(node) {
+    return !d3.select(node).classed('kcvsGraph-hide');
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Completely remove one or more lines (by ID or by class).
+  // Lines fade out in place; if you want them to move, use one of the 
+  // update functions first to move them, then use removeLines.
+  // INPUTS:
+  // - selector: CSS selector.  An ID should start with #, a class with .
+  this.removeLines = function(selector) {
+    var tslow = d3.transition().duration(this.slowTransition);
+    d3.select('#'+theGraph.graphID).selectAll(selector)
+      .filter(function() {
+        // Series (scatter, bar, area) have their own clean-up.
+        if (!theGraph.series.hasOwnProperty(this.id)) return true;
+        theGraph.removeSeries(this.id);
+        return false;
+      })
+      .each(function() {
+        delete theGraph.functions[this.id];
+        delete theGraph.streams[this.id];
+        theGraph.removeErrors(this.id);
+        theGraph.emit('lineRemoved', {id: this.id, node: this});
+      })
+      .classed('kcvsGraphLine', false) // So redraw() leaves them alone.
+      .transition(tslow)
+        .remove() // transition.remove removes line after transition is complete.
+        .style('opacity', 1e-6);
+    this.updateLegend();
+    this.requestCanvasRender();
+  } // removeLines function
+  
+  ////////////////////////////////////////////////////////////
+  // Resizing and redrawing.
+
+  // Re-apply the current outer dimensions and margins: recomputes
+  // graphWidth/graphHeight and moves the clipPath, scales, axes and labels to
+  // match.  Call redraw() afterwards to re-project the lines and markers.
+  this.updateDimensions = function() {
+    d3.select('#'+this.graphID)
+      .attr('viewBox', '0 0 ' + this.width + ' ' + this.height);
+    this.background
+      .attr('width', this.width)
+      .attr('height', this.height);
+    this.setMargins(this.gmargin);
+    d3.select('#'+this.graphID+'Clip').select('rect')
+      .attr('width', this.graphWidth)
+      .attr('height', this.graphHeight);
+    this.xScale.range([0, this.graphWidth]);
+    this.yScale.range([this.graphHeight, 0]);
+    this.xAxisG.attr('transform', 'translate(0,' + this.graphHeight + ')');
+    if (this.y2axis) {
+      this.y2Scale.range([this.graphHeight, 0]);
+      this.y2AxisG.attr('transform', 'translate(' + this.graphWidth + ',0)');
+    }
+    if (this.xLabelText) {
+      this.xLabelText.attr('transform', 'translate(' + this.graphWidth + ', 0)');
+    }
+    if (this.x2LabelText) {
+      this.x2LabelText.attr('transform', 'translate(' + this.graphWidth + ', 0)');
+    }
+    this.positionHeadings();
+    this.positionCanvas();
+    this.positionLegend();
+    if (this.overlay) {
+      this.overlay
+        .attr('width', this.graphWidth)
+        .attr('height', this.graphHeight);
+    }
+    if (this.zoomBehavior) {
+      this.zoomBehavior.extent([[0, 0], [this.graphWidth, this.graphHeight]]);
+      // Scale the zoom translation with the plot area, so the zoomed axis
+      // limits stay the same.
+      var t = d3.zoomTransform(this.svg.node());
+      var sx = this.graphWidth/(this.zoomBaseX.range()[1] || this.graphWidth);
+      var sy = this.graphHeight/(this.zoomBaseY.range()[0] || this.graphHeight);
+      this.zoomBaseX.range(this.xScale.range());
+      this.zoomBaseY.range(this.yScale.range());
+      if (this.y2axis) this.zoomBaseY2.range(this.y2Scale.range());
+      this.ignoreZoomEvents = true;
+      this.svg.call(this.zoomBehavior.transform,
+        d3.zoomIdentity.translate(t.x*sx, t.y*sy).scale(t.k));
+      this.ignoreZoomEvents = false;
+    }
+  }
+
+
+  // Redraw the axes, lines and markers from their data, e.g. after the
+  // dimensions or the scales have changed.
+  // INPUTS:
+  // - duration: OPTIONAL transition time (ms).  If 0 or omitted, the graph is
+  //   redrawn immediately.
+  this.redraw = function(duration) {
+    var root = d3.select('#'+this.graphID);
+    this.checkAxisLimits();
+    
+    // The zero line always spans the current x-axis.
+    root.selectAll('.kcvsZeroLine')
+      .datum([{x: this.getXmin(), y: 0}, {x: this.getXmax(), y: 0}]);
+    
+    this.updateTicks();
+    this.transitionOrNow(this.xAxisG, duration).call(this.xAxis);
+    this.transitionOrNow(this.yAxisG, duration).call(this.yAxis);
+    if (this.y2axis) this.transitionOrNow(this.y2AxisG, duration).call(this.y2Axis);
+    if (this.x2axis) this.transitionOrNow(this.x2AxisG, duration).call(this.x2Axis);
+    this.styleAxes(); // New ticks need the theme colours.
+    this.drawGrid(duration);
+    
+    // Functions are resampled for the new axes.  (They can't be animated
+    // smoothly, since the number of points changes, so they move right away.)
+    for (var id in this.functions) {
+      this.resampleFunction(id);
+    }
+    
+    this.transitionOrNow(root.selectAll('.kcvsGraphLine:not(.kcvsFunction)'), duration)
+      .attr('d', function(d) { return theGraph.pathFor(this, d); });
+    
+    for (var id in this.series) {
+      this.drawSeries(id, duration);
+    }
+    for (id in this.errors) {
+      if (!this.series.hasOwnProperty(id)) this.drawErrors(id, duration);
+    }
+    for (id in this.annotations) {
+      this.drawAnnotation(id, duration);
+    }
+    if (this.brushG) this.drawBrush();
+    if (this.cursorG) this.setCursor(this.cursorPosition);
+    
+    this.transitionOrNow(root.selectAll('.kcvsMarkerLine'), duration)
+      .each(function(d) { theGraph.markerLineEnds(d); })
+      .attr('x1', function(d) { return theGraph.xScale(d.x1); })
+      .attr('x2', function(d) { return theGraph.xScale(d.x2); })
+      .attr('y1', function(d) { return theGraph.yScale(d.y1); })
+      .attr('y2', function(d) { return theGraph.yScale(d.y2); })
+      .style('opacity', 1);
+    
+    this.transitionOrNow(root.selectAll('.kcvsMarkerCircle'), duration)
+      .attr('cx', function(d) { return theGraph.xScale(d.x); })
+      .attr('cy', function(d) { return theGraph.yScale(d.y); })
+      .attr('r', function(d) { return d.r; })
+      .style('opacity', 1);
+  }
+
+
+  // Returns a transition of the given selection, or the selection itself if
+  // there is no duration (so changes are applied right away).  Any running
+  // transition is interrupted, so the caller must set final values.
+  this.transitionOrNow = function(selection, duration) {
+    if (duration > 0) {
+      return selection.transition().duration(duration);
+    }
+    return selection.interrupt();
+  }
+
+
+  // Change the outer dimensions of the graph and re-render it.
+  // INPUTS:
+  // - width, height: OPTIONAL new outer dimensions.  If width is omitted, it is
+  //   taken from the container.  If height is omitted, it is width/aspectRatio,
+  //   or the container height if the height was originally taken from the
+  //   container, or else the current height.
+  // RETURNS:
+  // - true if the graph was resized.
+  this.resize = function(width, height) {
+    if (width === undefined) width = this.container.width();
+    if (height === undefined) {
+      if (this.aspectRatio > 0) {
+        height = width/this.aspectRatio;
+      } else if (this.heightFromContainer) {
+        height = this.container.height();
+      } else {
+        height = this.height;
+      }
+    }
+    
+    // Hidden containers report a size of 0; keep the last good size.
+    if (!(width > 0 && height > 0)) return false;
+    if (width == this.width && height == this.height) return false;
+    
+    this.width = width;
+    this.height = height;
+    this.updateDimensions();
+    this.redraw();
+    this.emit('resize', {width: width, height: height});
+    return true;
+  }
+
+
+  // Resize automatically when the container or the window changes size.
+  // Resizes are batched to one per animation frame.
+  this.enableAutoResize = function() {
+    var pending = false;
+    var lastSize = '';
+    var onResize = function() {
+      if (pending) return;
+      pending = true;
+      window.requestAnimationFrame(function() {
+        pending = false;
+        // Only react to real changes in the container's size.
+        var size = theGraph.container.width() + 'x' + theGraph.container.height();
+        if (size === lastSize) return;
+        lastSize = size;
+        theGraph.resize();
+      });
+    };
+    this.disableAutoResize();
+    if (window.ResizeObserver) {
+      this.resizeObserver = new ResizeObserver(onResize);
+      this.resizeObserver.observe(this.container[0]);
+    }
+    $(window).on('resize.' + this.graphID + ' orientationchange.' + this.graphID, onResize);
+  }
+
+
+  // Stop resizing automatically.
+  this.disableAutoResize = function() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    $(window).off('.' + this.graphID);
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Get the current axis limits.
+  // (The configured limits are still available as xmin, xmax, etc.)
+  // Includes y2min and y2max if there is a secondary y-axis.
+  this.getAxisLimits = function() {
+    var limits = {
+      xmin: this.getXmin(),
+      xmax: this.getXmax(),
+      ymin: this.getYmin(),
+      ymax: this.getYmax()
+    };
+    if (this.y2axis) {
+      limits.y2min = this.y2Scale.domain()[0];
+      limits.y2max = this.y2Scale.domain()[1];
+    }
+    return limits;
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Change the axis limits, animating the axes and moving every line and
+  // marker into the new domain.
+  // INPUTS:
+  // - limits: object with any of xmin, xmax, ymin, ymax (and y2min, y2max).
+  //   Missing values keep their current setting.
+  // - slowUpdate: OPTIONAL boolean.  If true, update uses slowTransition.
+  // RETURNS:
+  // - The new axis limits, or undefined if the limits were invalid.
+  this.setAxisLimits = function(limits, slowUpdate) {
+    var newLimits = this.getAxisLimits();
+    for (var key in newLimits) {
+      if (limits.hasOwnProperty(key)) newLimits[key] = limits[key];
+    }
     
-    // UPDATE old elements present in new data.
-    lines.transition(t)
-      .ease(te)
-      .style('opacity', 1)
-      .attr('x1', function(d) { return theGraph.xScale(d.x1); })
-      .attr('x2', function(d) { return theGraph.xScale(d.x2); })
-      .attr('y1', function(d) { return theGraph.yScale(d.y1); })
-      .attr('y2', function(d) { return theGraph.yScale(d.y2); })
-      .attr('data-n', function(d) { return d.key; });
+    if (!(newLimits.xmin < newLimits.xmax) || !(newLimits.ymin < newLimits.ymax) ||
+        this.y2axis && !(newLimits.y2min < newLimits.y2max)) {
+      console.error('Bork! Invalid axis limits: ' + JSON.stringify(newLimits));
+      return;
+    }
     
-    // ENTER new elements present in new data.
-    lines.enter().append('line') // SVG line object.
-      .style('opacity', 1e-6)
-      .attr('class', markerClass)
-      .attr('fill', 'none')
-      .attr('x1', function(d) { return theGraph.xScale(d.x1); })
-      .attr('x2', function(d) { return theGraph.xScale(d.x2); })
-      .attr('y1', function(d) {return theGraph.yScale(d.y1+yjump); })
-      .attr('y2', function(d) {return theGraph.yScale(d.y2+yjump); })
-      .transition(tslow)
-        .ease(te)
-        .style('opacity', 1)
-        .attr('y1', function(d) { return theGraph.yScale(d.y1); })
-        .attr('y2', function(d) { return theGraph.yScale(d.y2); });
+    this.xScale.domain([newLimits.xmin, newLimits.xmax]);
+    this.yScale.domain([newLimits.ymin, newLimits.ymax]);
+    if (this.y2axis) this.y2Scale.domain([newLimits.y2min, newLimits.y2max]);
+    this.syncZoom();
+    this.redraw(slowUpdate ? this.slowTransition : this.fastTransition);
     
-    return lines;
-  } // markerLines function
+    return newLimits;
+  }
   
   
-  // Add the zero line if selected.
-  if (this.zeroLine) this.addLine({
-    'x': [this.getXmin(), this.getXmax()],
-    'y': [0, 0],
-    'class': 'kcvsZeroLine',
-    // 'strokeWidth': 1
-  });
+  ////////////////////////////////////////////////////////////
+  // Interactive zoom and pan.
+  // Zooming is relative to the configured axis limits (xmin, xmax, ...), so
+  // zoomExtent[0] = 1 means you can't zoom out beyond them, however the
+  // limits were changed since.  Double-click resets to the configured limits.
+
+  // Turn on wheel/pinch zoom and drag-to-pan.
+  // INPUTS:
+  // - options: OPTIONAL object with zoomAxis and/or zoomExtent (see config).
+  this.enableZoom = function(options) {
+    if (options) {
+      if (options.hasOwnProperty('zoomAxis')) this.zoomAxis = options.zoomAxis;
+      if (options.hasOwnProperty('zoomExtent')) this.zoomExtent = options.zoomExtent;
+    }
+    
+    this.addOverlay();
+    this.zoomBehavior = d3.zoom()
+      .scaleExtent(this.zoomExtent)
+      .on('zoom', function() {
+        if (!theGraph.ignoreZoomEvents) theGraph.applyZoomTransform(d3.event.transform);
+      });
+    this.setZoomBase();
+    this.updateDimensions(); // Sets the zoom extent.
+    
+    this.svg.call(this.zoomBehavior)
+      .on('dblclick.zoom', null) // Replace d3's double-click zoom with a reset.
+      .on('dblclick.kcvsZoom', function() { theGraph.resetZoom(true); });
+    this.syncZoom();
+  }
+
+
+  // Turn off zooming and panning (keeps the current axis limits).
+  this.disableZoom = function() {
+    if (!this.zoomBehavior) return;
+    this.svg.on('.zoom', null).on('dblclick.kcvsZoom', null);
+    this.zoomBehavior = null;
+  }
+
+
+  // Return to the configured axis limits (xmin, xmax, ymin, ymax).
+  // - slowUpdate: OPTIONAL boolean.  If true, update uses slowTransition.
+  this.resetZoom = function(slowUpdate) {
+    this.setAxisLimits({
+      xmin: this.xmin,
+      xmax: this.xmax,
+      ymin: this.ymin,
+      ymax: this.ymax,
+      y2min: this.y2min,
+      y2max: this.y2max
+    }, slowUpdate);
+  }
+
+
+  // Set the axis domains from a d3 zoom transform, respecting zoomAxis.
+  this.applyZoomTransform = function(transform) {
+    if (this.zoomAxis.indexOf('x') >= 0) {
+      this.xScale.domain(transform.rescaleX(this.zoomBaseX).domain());
+    }
+    if (this.zoomAxis.indexOf('y') >= 0) {
+      this.yScale.domain(transform.rescaleY(this.zoomBaseY).domain());
+      if (this.y2axis) this.y2Scale.domain(transform.rescaleY(this.zoomBaseY2).domain());
+    }
+    this.redraw();
+  }
+
+
+  // The un-zoomed scales: the configured axis limits on the current plot area.
+  this.setZoomBase = function() {
+    this.zoomBaseX = this.xScale.copy().domain([this.xmin, this.xmax]);
+    this.zoomBaseY = this.yScale.copy().domain([this.ymin, this.ymax]);
+    if (this.y2axis) this.zoomBaseY2 = this.y2Scale.copy().domain([this.y2min, this.y2max]);
+  }
+
+
+  // Set the zoom transform to match the current axis limits.  Used when the
+  // limits are changed by something other than the zoom behaviour, so that
+  // zooming carries on from them.
+  this.syncZoom = function() {
+    if (!this.zoomBehavior) return;
+    this.setZoomBase();
+    var transform = this.zoomTransformForLimits();
+    if (!transform) {
+      // One zoom transform can't describe these limits (the axes are zoomed
+      // by different factors), so make them the new un-zoomed state.
+      this.zoomBaseX = this.xScale.copy();
+      this.zoomBaseY = this.yScale.copy();
+      if (this.y2axis) this.zoomBaseY2 = this.y2Scale.copy();
+      transform = d3.zoomIdentity;
+    }
+    this.ignoreZoomEvents = true;
+    this.svg.call(this.zoomBehavior.transform, transform);
+    this.ignoreZoomEvents = false;
+  }
+
+
+  // The zoom transform that takes the un-zoomed scales to the current axis
+  // limits, along the zoomed axes, or null if there isn't one.
+  this.zoomTransformForLimits = function() {
+    var zoomX = this.zoomAxis.indexOf('x') >= 0;
+    var zoomY = this.zoomAxis.indexOf('y') >= 0;
+    var xr = this.xScale.range();
+    var yr = this.yScale.range();
+    var bx = this.zoomBaseX;
+    var by = this.zoomBaseY;
+    var dx = this.xScale.domain();
+    var dy = this.yScale.domain();
+    var kx = (xr[1] - xr[0])/(bx(dx[1]) - bx(dx[0]));
+    var ky = (yr[1] - yr[0])/(by(dy[1]) - by(dy[0]));
+    if (zoomX && zoomY && Math.abs(kx/ky - 1) > 1e-6) return null;
+    var k = zoomX ? kx : ky;
+    if (!(k > 0 && isFinite(k))) return null;
+    return d3.zoomIdentity
+      .translate(xr[0] - k*bx(dx[0]), yr[0] - k*by(dy[0]))
+      .scale(k);
+  }
+  
   
+  ////////////////////////////////////////////////////////////
+  // Themes.  A theme is an object with colours for the axis lines, tick
+  // labels, gridlines, axis labels, background and tooltip, plus a palette
+  // for lines added without a color.  See KCVSGraph.themes.
+
+  // Change the theme and restyle the graph.
+  // INPUTS:
+  // - theme: 'light', 'dark', 'auto' (light or dark, following whether the
+  //   page has a .darkMode element) or an object.  Missing colours in an
+  //   object are taken from the light theme.
+  this.setTheme = function(theme) {
+    this.theme = theme;
+    
+    var colors;
+    if (theme === 'auto') {
+      colors = KCVSGraph.themes[$('.darkMode')[0] ? 'dark' : 'light'];
+    } else if (typeof theme === 'string') {
+      colors = KCVSGraph.themes[theme];
+      if (!colors) {
+        console.error("Bork! Unknown theme " + theme + "; using 'light'.");
+        colors = KCVSGraph.themes.light;
+      }
+    } else {
+      colors = $.extend({}, KCVSGraph.themes.light, theme);
+    }
+    this.themeColors = colors;
+    
+    // Follow the page's dark mode, if asked.
+    if (theme === 'auto' && !this.themeObserver && window.MutationObserver) {
+      var dark = !!$('.darkMode')[0];
+      this.themeObserver = new MutationObserver(function() {
+        if (theGraph.theme === 'auto' && dark !== !!$('.darkMode')[0]) {
+          dark = !dark;
+          theGraph.setTheme('auto');
+        }
+      });
+      [document.documentElement, document.body].forEach(function(el) {
+        theGraph.themeObserver.observe(el, {attributes: true, attributeFilter: ['class']});
+      });
+    }
+    
+    this.applyTheme();
+  }
+
+
+  // Colour everything according to the current theme.
+  this.applyTheme = function() {
+    var colors = this.themeColors;
+    var root = d3.select('#'+this.graphID);
+    
+    this.paintBackground();
+    this.styleAxes();
+    root.selectAll('.kcvsAxisLabel, .kcvsGraphHeadings text').attr('fill', colors.label);
+    root.selectAll('.kcvsZeroLine').attr('stroke', colors.axis);
+    this.drawGrid(0);
+    root.selectAll('[data-palette-index]')
+      .attr('stroke', function() {
+        return theGraph.paletteColor(+this.getAttribute('data-palette-index'));
+      });
+    root.selectAll('.kcvsSeries[data-palette-index]')
+      .attr('fill', function() {
+        return theGraph.paletteColor(+this.getAttribute('data-palette-index'));
+      });
+    
+    if (this.crosshair) {
+      this.crosshair.selectAll('line, circle').attr('stroke', colors.axis);
+      this.tooltip.css({
+        'background-color': colors.tooltipBackground,
+        'color': colors.label,
+        'border-color': colors.axis
+      });
+    }
+    if (this.legendG) {
+      this.legendG.select('.kcvsLegendBackground').attr('fill', colors.tooltipBackground);
+      this.updateLegend(); // Swatches follow the line colours.
+    }
+    for (var id in this.errors) {
+      this.drawErrors(id, 0); // Error bars too.
+    }
+    for (id in this.annotations) {
+      this.drawAnnotation(id, 0);
+    }
+    this.requestCanvasRender();
+  }
+
+
+  // Colour the axis lines and tick labels.  (d3 recreates ticks when the
+  // axes change, so this is also called by redraw.)
+  this.styleAxes = function() {
+    var root = d3.select('#'+this.graphID);
+    root.selectAll('.kcvsAxis').attr('color', this.themeColors.axis);
+    root.selectAll('.kcvsAxis .tick text').attr('fill', this.themeColors.tick);
+  }
+
+
+  // The i-th colour of the theme's palette (repeating as needed).
+  var paletteCount = 0; // Number of lines given palette colours so far.
+  this.paletteColor = function(i) {
+    var palette = this.themeColors.palette;
+    return palette[i % palette.length];
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Legend.  Lists every line that has a label; clicking an entry shows or
+  // hides its line.  Called automatically when lines are added, updated,
+  // removed, shown or hidden.
+
+  var legendRowHeight = 18; // px
+  var legendSwatchWidth = 20; // px
+
+  this.updateLegend = function() {
+    if (!this.legend) return;
+    
+    if (!this.legendG) {
+      this.legendG = this.svg.append('g')
+        .attr('class', 'kcvsLegend');
+      this.legendG.append('rect')
+        .attr('class', 'kcvsLegendBackground')
+        .attr('fill-opacity', this.legendPlacement === 'inside' ? 0.8 : 0);
+      // The entries have their own group, so they can be measured without
+      // the background.
+      this.legendEntriesG = this.legendG.append('g')
+        .attr('class', 'kcvsLegendEntries');
+      this.applyTheme();
+    }
+    
+    var lines = [];
+    d3.select('#'+this.graphID).selectAll('.kcvsGraphLine[data-label], .kcvsSeries[data-label]')
+      .each(function() { lines.push(this); });
+    
+    // JOIN lines with legend entries.
+    var entries = this.legendEntriesG.selectAll('.kcvsLegendEntry')
+      .data(lines);
+    entries.exit().remove();
+    var newEntries = entries.enter().append('g')
+      .attr('class', 'kcvsLegendEntry')
+      .style('cursor', 'pointer')
+      .on('click', function(node) { theGraph.setVisible(node); });
+    newEntries.append('line')
+      .attr('x1', 0)
+      .attr('x2', legendSwatchWidth)
+      .attr('stroke-width', 2);
+    newEntries.append('text')
+      .attr('x', legendSwatchWidth + 5)
+      .attr('dy', '0.32em')
+      .attr('class', 'kcvsAxisLabel');
+    
+    entries = newEntries.merge(entries)
+      .attr('transform', function(d, i) {
+        return 'translate(0,' + (i + 0.5)*legendRowHeight + ')';
+      })
+      .style('opacity', function(node) { return theGraph.isVisible(node) ? 1 : 0.4; });
+    entries.select('line')
+      .attr('stroke', function(node) {
+        // Use the actual colour, which may have been set with CSS.
+        return window.getComputedStyle(node).stroke || node.getAttribute('stroke');
+      });
+    entries.select('text')
+      .attr('fill', this.themeColors.label)
+      .text(function(node) { return node.getAttribute('data-label'); });
+    
+    // An outside legend needs room in the right margin.
+    if (this.legendPlacement === 'outside') {
+      var size = this.legendSize();
+      var needed = this.legendOffset() + size.width + 2*legendPad;
+      if (this.gmargin.right < needed) {
+        this.gmargin.right = needed;
+        this.updateDimensions(); // Also positions the legend.
+        this.redraw();
+        return;
+      }
+    }
+    this.positionLegend();
+  }
+
+
+  var legendPad = 5; // px
+
+  // Size of the legend box: the entries plus padding.
+  this.legendSize = function() {
+    var box = this.legendEntriesG.node().getBBox();
+    return {width: box.width + 2*legendPad, height: box.height + 2*legendPad};
+  }
+
+
+  // Distance from the plot area to an outside legend: beyond the secondary
+  // y-axis, if there is one.
+  this.legendOffset = function() {
+    return this.y2axis ? this.y2AxisG.node().getBBox().width : 0;
+  }
+
+
+  // Place the legend in its corner (inside) or to the right of the plot area
+  // (outside).  (updateLegend makes room for an outside legend.)
+  this.positionLegend = function() {
+    if (!this.legendG) return;
+    
+    var pad = legendPad;
+    var size = this.legendSize();
+    var w = size.width;
+    var h = size.height;
+    this.legendG.select('.kcvsLegendBackground')
+      .attr('x', -pad)
+      .attr('y', -pad)
+      .attr('width', w)
+      .attr('height', h);
+    
+    var x, y;
+    if (this.legendPlacement === 'outside') {
+      x = this.graphWidth + this.legendOffset() + 2*pad;
+      y = pad;
+    } else {
+      x = (this.legendPosition.indexOf('left') >= 0) ? 2*pad : this.graphWidth - w + pad;
+      y = (this.legendPosition.indexOf('bottom') >= 0) ? this.graphHeight - h + pad : 2*pad;
+    }
+    this.legendG.attr('transform', 'translate(' + x + ',' + y + ')');
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Hover tracking: a crosshair that snaps to the nearest point of the nearest
+  // visible line, with a tooltip showing its values.  Each move emits a
+  // "hover" event with {x, y, yAxis, id, name, line} (or null when the
+  // pointer leaves the graph); see on().
+
+  this.enableTracking = function() {
+    if (this.crosshair) return;
+    this.addOverlay();
+    
+    this.crosshair = this.svg.append('g')
+      .attr('class', 'kcvsCrosshair')
+      .style('pointer-events', 'none')
+      .style('display', 'none');
+    this.crosshair.append('line')
+      .attr('class', 'kcvsCrosshairX')
+      .attr('stroke-dasharray', '3,3');
+    this.crosshair.append('line')
+      .attr('class', 'kcvsCrosshairY')
+      .attr('stroke-dasharray', '3,3');
+    this.crosshair.append('circle')
+      .attr('class', 'kcvsCrosshairPoint')
+      .attr('r', 4)
+      .attr('fill', 'none');
+    
+    // HTML tooltip, positioned over the graph inside the wrapper div.
+    this.wrapper.css('position', 'relative');
+    this.tooltip = $('<div></div>')
+      .attr('class', 'kcvsGraphTooltip')
+      .css({
+        'position': 'absolute',
+        'pointer-events': 'none',
+        'white-space': 'nowrap',
+        'padding': '0.2em 0.5em',
+        'font-size': '0.8em',
+        'border': '1px solid'
+      })
+      .hide()
+      .appendTo(this.wrapper);
+    this.applyTheme();
+    
+    this.svg
+      .on('mousemove.kcvsTracking', function() {
+        var m = d3.mouse(this);
+        theGraph.trackPoint(m[0], m[1]);
+      })
+      .on('mouseleave.kcvsTracking', function() { theGraph.trackPoint(null); });
+  }
+
+
+  this.disableTracking = function() {
+    if (!this.crosshair) return;
+    this.svg.on('.kcvsTracking', null);
+    this.crosshair.remove();
+    this.crosshair = null;
+    this.tooltip.remove();
+    this.tooltip = null;
+  }
+
+
+  // Find the data point closest to the pixel position (px, py), looking at
+  // the point nearest in x on each visible line.
+  // RETURNS:
+  // - {x, y, yAxis, id, name, line} where line is the path node, or null.
+  this.findNearestPoint = function(px, py) {
+    var nearest = null;
+    var bestDist = Infinity;
+    var xval = theGraph.xScale.invert(px);
+    var bisect = d3.bisector(function(d) { return d.x; }).left;
+    
+    d3.select('#'+this.graphID).selectAll('.kcvsGraphLine:not(.kcvsZeroLine), .kcvsSeries')
+      .each(function(data) {
+        if (!theGraph.isVisible(this) || !data || data.length == 0) return;
+        var yAxis = theGraph.lineYAxis(this);
+        var yScale = theGraph.yScaleFor(yAxis);
+        var candidates;
+        if (theGraph.sortLinesByX) {
+          var i = bisect(data, xval);
+          candidates = [data[i-1], data[i]];
+        } else {
+          candidates = data;
+        }
+        for (var j = 0; j < candidates.length; j++) {
+          var d = candidates[j];
+          if (!d) continue;
+          // (Stacked bars are drawn at the top of their stack.)
+          var top = (d.top !== undefined) ? d.top : d.y;
+          var dist = Math.hypot(theGraph.xScale(d.x) - px, yScale(top) - py);
+          if (dist < bestDist) {
+            bestDist = dist;
+            nearest = {x: d.x, y: d.y, top: top, yAxis: yAxis, id: this.id,
+              name: theGraph.lineName(this), line: this};
+          }
+        }
+      });
+    return nearest;
+  }
+
+
+  // Move the crosshair and tooltip to the point nearest (px, py) and emit a
+  // "hover" event.  Call with null to hide them.
+  this.trackPoint = function(px, py) {
+    var point = (px === null) ? null : this.findNearestPoint(px, py);
+    
+    if (!point) {
+      this.crosshair.style('display', 'none');
+      this.tooltip.hide();
+    } else {
+      var cx = this.xScale(point.x);
+      var cy = this.yScaleFor(point.yAxis)(point.top);
+      this.crosshair.style('display', null);
+      this.crosshair.select('.kcvsCrosshairX')
+        .attr('x1', cx).attr('x2', cx)
+        .attr('y1', 0).attr('y2', this.graphHeight);
+      this.crosshair.select('.kcvsCrosshairY')
+        .attr('x1', 0).attr('x2', this.graphWidth)
+        .attr('y1', cy).attr('y2', cy);
+      this.crosshair.select('.kcvsCrosshairPoint')
+        .attr('cx', cx).attr('cy', cy);
+      
+      var label = 'x = ' + this.formatX(point.x);
+      if (this.x2axis) label += ' (' + formatValue(this.xToX2(point.x), 'linear', this.x2tickFormat) + ')';
+      label += ', y = ' + this.formatY(point.y, point.yAxis);
+      if (point.name) label = point.name + ': ' + label;
+      // The SVG is scaled to fit the wrapper, so convert to screen pixels.
+      var k = $('#'+this.graphID).width()/this.width;
+      this.tooltip
+        .text(label)
+        .css({
+          left: ((this.gmargin.left + cx)*k + 10) + 'px',
+          top: ((this.gmargin.top + cy)*k + 10) + 'px'
+        })
+        .show();
+    }
+    
+    this.emit('hover', point);
+  }
+
+
+  // Format values like the axis ticks (xtickFormat/ytickFormat), with a few
+  // more significant figures if no format was given.
+  this.formatX = function(x) {
+    return formatValue(x, this.xScaleType, this.xtickFormat);
+  }
+  this.formatY = function(y, yAxis) {
+    if (yAxis === 'y2') return formatValue(y, this.y2ScaleType, this.y2tickFormat);
+    return formatValue(y, this.yScaleType, this.ytickFormat);
+  }
+  function formatValue(v, scaleType, specifier) {
+    if (scaleType === 'time') {
+      return d3.timeFormat(specifier || '%Y-%m-%d %H:%M:%S')(v);
+    }
+    return d3.format(specifier || '.4~g')(v);
+  }
+
+
+  // Name of a line, for tooltips etc.: its label if it has one, or its ID.
+  this.lineName = function(node) {
+    return node.getAttribute('data-label') || node.id;
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Brushing: shift-drag selects a range along brushAxis ('x', 'y' or
+  // 'xy'), which stays shaded until you shift-click outside it.  (Without
+  // shift, dragging the plot still pans; the selection itself can be dragged
+  // or resized either way.)  Each change fires a "brush" event with {x1, x2}
+  // and/or {y1, y2} in data units, or null when cleared.
+
+  this.brushRange = null; // Current selection, as in the brush event.
+
+  // INPUTS:
+  // - options: OPTIONAL object with brushAxis (see config).
+  this.enableBrush = function(options) {
+    if (options && options.hasOwnProperty('brushAxis')) this.brushAxis = options.brushAxis;
+    this.disableBrush();
+    
+    var makers = {x: d3.brushX, y: d3.brushY, xy: d3.brush};
+    if (!makers.hasOwnProperty(this.brushAxis)) {
+      console.error("Bork! Unknown brushAxis " + this.brushAxis + "; using 'x'.");
+      this.brushAxis = 'x';
+    }
+    this.brushBehavior = makers[this.brushAxis]()
+      .filter(function() {
+        var onSelection = !d3.select(d3.event.target).classed('overlay');
+        return (d3.event.shiftKey || onSelection) && !d3.event.button;
+      })
+      .on('end', function() {
+        if (!d3.event.sourceEvent) return; // Moved by drawBrush or setBrush.
+        theGraph.brushRange = theGraph.brushSelectionToRange(d3.event.selection);
+        theGraph.emit('brush', theGraph.brushRange);
+      });
+    // Low down, so lines and markers above it still get the mouse.
+    this.brushG = this.svg.insert('g', ':first-child')
+      .attr('class', 'kcvsBrush');
+    this.drawBrush();
+  }
+
+
+  this.disableBrush = function() {
+    if (!this.brushG) return;
+    this.brushG.remove();
+    this.brushG = null;
+    this.brushBehavior = null;
+    this.brushRange = null;
+  }
+
+
+  // Select a range, as in the brush event (null clears it).
+  this.setBrush = function(range) {
+    if (!this.brushG) this.enableBrush();
+    this.brushRange = range ? $.extend({}, range) : null;
+    this.drawBrush();
+    this.emit('brush', this.brushRange);
+  }
+
+
+  // Fit the brush to the plot area and draw the selection for the current
+  // axes.
+  this.drawBrush = function() {
+    this.brushBehavior.extent([[0, 0], [this.graphWidth, this.graphHeight]]);
+    this.brushG.call(this.brushBehavior);
+    var r = this.brushRange;
+    var selection = null;
+    if (r) {
+      var xs = [this.xScale(r.x1), this.xScale(r.x2)].sort(d3.ascending);
+      var ys = [this.yScale(r.y1), this.yScale(r.y2)].sort(d3.ascending);
+      if (this.brushAxis === 'x') selection = xs;
+      if (this.brushAxis === 'y') selection = ys;
+      if (this.brushAxis === 'xy') selection = [[xs[0], ys[0]], [xs[1], ys[1]]];
+    }
+    this.brushG.call(this.brushBehavior.move, selection);
+    this.brushG.select('.selection')
+      .attr('fill', this.themeColors.axis)
+      .attr('stroke', 'none');
+  }
+
+
+  // Convert a d3 brush selection (pixels) to data units.
+  this.brushSelectionToRange = function(selection) {
+    if (!selection) return null;
+    var x = this.xScale.invert;
+    var y = this.yScale.invert;
+    switch (this.brushAxis) {
+      case 'x':
+        return {x1: x(selection[0]), x2: x(selection[1])};
+      case 'y':
+        return {y1: y(selection[1]), y2: y(selection[0])};
+      default:
+        return {x1: x(selection[0][0]), x2: x(selection[1][0]),
+          y1: y(selection[1][1]), y2: y(selection[0][1])};
+    }
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Cursor lines at given data coordinates, e.g. following the mouse in
+  // another graph (see KCVSGraph.link).
+
+  // Show a vertical line at pos.x and/or a horizontal one at pos.y, or hide
+  // them with null.
+  this.setCursor = function(pos) {
+    if (!this.cursorG) {
+      this.cursorG = this.svg.append('g')
+        .attr('class', 'kcvsCursor')
+        .style('pointer-events', 'none');
+    }
+    this.cursorPosition = pos;
+    var lines = [];
+    if (pos && pos.x !== undefined) lines.push({axis: 'x', value: pos.x});
+    if (pos && pos.y !== undefined) lines.push({axis: 'y', value: pos.y});
+    var sel = this.cursorG.selectAll('line')
+      .data(lines, function(d) { return d.axis; });
+    sel.exit().remove();
+    sel.enter().append('line')
+      .attr('stroke-dasharray', '3,3')
+      .merge(sel)
+      .attr('stroke', this.themeColors.axis)
+      .each(function(d) {
+        var line = d3.select(this);
+        if (d.axis === 'x') {
+          var x = theGraph.xScale(d.value);
+          line.attr('x1', x).attr('x2', x).attr('y1', 0).attr('y2', theGraph.graphHeight);
+        } else {
+          var y = theGraph.yScale(d.value);
+          line.attr('x1', 0).attr('x2', theGraph.graphWidth).attr('y1', y).attr('y2', y);
+        }
+      });
+  }
+
+
+  ////////////////////////////////////////////////////////////
+  // Export the graph as an image.
+
+  // Style properties copied onto each element when exporting, so that the
+  // result looks the same without the page's stylesheets.
+  var exportStyleProps = ['fill', 'fill-opacity', 'stroke', 'stroke-width',
+    'stroke-opacity', 'stroke-dasharray', 'stroke-linecap', 'stroke-linejoin',
+    'opacity', 'display', 'visibility', 'font-family', 'font-size',
+    'font-weight', 'font-style', 'text-anchor', 'dominant-baseline'];
+
+  // Make a standalone copy of the graph's SVG, with computed styles inlined.
+  // INPUTS:
+  // - background: OPTIONAL colour for a background rectangle.
+  // RETURNS:
+  // - The SVG markup as a string.
+  this.serializeSVG = function(background) {
+    var source = document.getElementById(this.graphID);
+    var copy = source.cloneNode(true);
+    
+    var sourceNodes = source.querySelectorAll('*');
+    var copyNodes = copy.querySelectorAll('*');
+    for (var i = 0; i < sourceNodes.length; i++) {
+      var computed = window.getComputedStyle(sourceNodes[i]);
+      for (var j = 0; j < exportStyleProps.length; j++) {
+        var value = computed.getPropertyValue(exportStyleProps[j]);
+        if (value) copyNodes[i].style.setProperty(exportStyleProps[j], value);
+      }
+    }
+    
+    // Leave out the interactive bits: the mouse overlay, crosshair, brush,
+    // linked cursor and the invisible handles of draggable marker lines.
+    d3.select(copy)
+      .selectAll('.kcvsGraphOverlay, .kcvsCrosshair, .kcvsBrush, .kcvsCursor, .kcvsMarkerHandle')
+      .remove();
+    
+    // With the canvas renderer, the lines have no path data of their own,
+    // and the background is behind the canvas.
+    if (this.renderer === 'canvas') {
+      d3.select(copy).select('.kcvsGraphBackground')
+        .style('fill', null)
+        .attr('fill', this.themeColors.background);
+      for (i = 0; i < sourceNodes.length; i++) {
+        var line = sourceNodes[i];
+        if (line.classList.contains('kcvsGraphLine') && line.__data__) {
+          copyNodes[i].setAttribute('d', this.linePath(line, line.__data__));
+        }
+      }
+    }
+    
+    if (background) {
+      d3.select(copy).insert('rect', ':first-child')
+        .attr('width', this.width)
+        .attr('height', this.height)
+        .attr('fill', background);
+    }
+    
+    // (XMLSerializer adds the SVG namespace.)
+    copy.setAttribute('width', this.width);
+    copy.setAttribute('height', this.height);
+    copy.removeAttribute('style');
+    return new XMLSerializer().serializeToString(copy);
+  }
+
+
+  // Export the graph as an SVG file.
+  // INPUTS:
+  // - options: OPTIONAL object with
+  //   - filename: defaults to graphID + '.svg'.
+  //   - download: if false, only returns the markup.  Defaults to true.
+  //   - background: colour for a background rectangle.  Defaults to none.
+  // RETURNS:
+  // - The SVG markup as a string.
+  this.exportSVG = function(options) {
+    options = options || {};
+    var markup = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      this.serializeSVG(options.background);
+    if (options.download !== false) {
+      this.downloadFile(markup, options.filename || this.graphID + '.svg', 'image/svg+xml');
+    }
+    return markup;
+  }
+
+
+  // Export the graph as a PNG file.
+  // INPUTS:
+  // - options: OPTIONAL object with
+  //   - scale: pixels per SVG unit.  Defaults to 3 (print resolution).
+  //   - filename: defaults to graphID + '.png'.
+  //   - download: if false, only returns the image.  Defaults to true.
+  //   - background: defaults to the theme background, or else the page
+  //     background behind the graph, so the labels stay readable.
+  // RETURNS:
+  // - A Promise for the PNG Blob.
+  this.exportPNG = function(options) {
+    options = options || {};
+    var scale = options.scale || 3;
+    var background = options.background;
+    if (!background) {
+      background = (this.themeColors.background !== 'none') ?
+        this.themeColors.background : this.pageBackground();
+    }
+    var markup = this.serializeSVG(background);
+    var url = URL.createObjectURL(new Blob([markup], {type: 'image/svg+xml;charset=utf-8'}));
+    
+    return new Promise(function(resolve, reject) {
+      var img = new Image();
+      img.onload = function() {
+        var canvas = document.createElement('canvas');
+        canvas.width = Math.round(theGraph.width*scale);
+        canvas.height = Math.round(theGraph.height*scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(function(blob) {
+          if (options.download !== false) {
+            theGraph.downloadFile(blob, options.filename || theGraph.graphID + '.png');
+          }
+          resolve(blob);
+        }, 'image/png');
+      };
+      img.onerror = function() {
+        URL.revokeObjectURL(url);
+        reject(new Error('Bork! Could not render ' + theGraph.graphID + ' as PNG.'));
+      };
+      img.src = url;
+    });
+  }
+
+
+  // The first non-transparent background colour behind the graph.
+  this.pageBackground = function() {
+    for (var el = this.container[0]; el && el.nodeType === 1; el = el.parentNode) {
+      var bg = window.getComputedStyle(el).backgroundColor;
+      if (bg && bg !== 'transparent' && bg !== 'rgba(0, 0, 0, 0)') return bg;
+    }
+    return 'white';
+  }
+
+
+  // Let the user download a file.
+  // INPUTS:
+  // - content: string or Blob.
+  // - filename: suggested file name.
+  // - type: MIME type (for strings).
+  this.downloadFile = function(content, filename, type) {
+    var blob = (content instanceof Blob) ? content : new Blob([content], {type: type});
+    var url = URL.createObjectURL(blob);
+    var link = $('<a></a>')
+      .attr('href', url)
+      .attr('download', filename)
+      .css('display', 'none')
+      .appendTo('body');
+    link[0].click();
+    link.remove();
+    setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+  }
+
 
   ////////////////////////////////////////////////////////////
-  // Add or update a set of circles at the given positions and sizes. Each
-  // circle gets the specified class; circles of this class will be added or
-  // removed automatically to match the number of entries.  Positions are
-  // specified as parallel arrays of x- and y-values.  Note that x and y are
-  // in appropriate data units, but r should be in pixels.  The delay is in case
-  // you want e.g. the marker circles to appear after the lines are in place.
-  // (It may be worth modifying this later to work for arbitrary shapes.)
+  // Data import and export.
+
+  // Get the data of every line (except the zero line) and other series.
+  // RETURNS:
+  // - Array of {id, type, label, yAxis, x, y, node} where x and y are arrays,
+  //   plus xError and/or yError if the series has error bars.
+  this.getSeries = function() {
+    var series = [];
+    d3.select('#'+this.graphID).selectAll('.kcvsGraphLine:not(.kcvsZeroLine), .kcvsSeries')
+      .each(function(data) {
+        series.push({
+          id: this.id,
+          type: theGraph.series.hasOwnProperty(this.id) ? theGraph.series[this.id].type :
+            (this.getAttribute('data-curve') ? 'step' : 'line'),
+          label: this.getAttribute('data-label') || '',
+          yAxis: theGraph.lineYAxis(this),
+          x: data.map(function(d) { return d.x; }),
+          y: data.map(function(d) { return d.y; }),
+          node: this
+        });
+        var err = theGraph.errors[this.id];
+        if (err) {
+          // As [minus, plus] for each point.
+          var last = series[series.length-1];
+          if (err.xError) last.xError = data.map(function(d) { return errorAt(err.xError, d.index); });
+          if (err.yError) last.yError = data.map(function(d) { return errorAt(err.yError, d.index); });
+        }
+      });
+    return series;
+  }
+
+
+  // Export all series as text.
   // INPUTS:
-  // - circleClass: Class for the circles.
-  // - x, y: Parallel arrays of x and y values for the circles.
-  // - r: Circle radius in PIXELS.  Can be a single value, or an array.
-  // - delay: OPTIONAL delay time.  Defaults to 0.
-  // - slowUpdate: OPTIONAL boolean.  If true, update uses slowTransition.
+  // - format: 'csv' (default) or 'json'.  CSV has one row per point, with
+  //   columns id, label, x, y.  JSON is an array of
+  //   {id, type, label, yAxis, x, y}, with xError and yError if present.
   // RETURNS:
-  // - The D3 selection of affected circles.
-  this.markerCircles = function(circleClass, x, y, r, delay, slowUpdate) {
+  // - The data as a string.
+  this.exportData = function(format) {
+    format = (format || 'csv').toLowerCase();
+    var series = this.getSeries();
     
-    // If the optiosn were passed in an object, parse it out.
-    if (arguments.length == 1) {
-      var obj = arguments[0];
-      circleClass = obj.circleClass;
-      x = obj.x;
-      y = obj.y;
-      r = obj.r;
-      delay = obj.delay;
-      slowUpdate = obj.slowUpdate; // may be undefined.
+    if (format === 'json') {
+      return JSON.stringify(series.map(function(s) {
+        var out = {id: s.id, type: s.type, label: s.label, yAxis: s.yAxis, x: s.x, y: s.y};
+        if (s.xError) out.xError = s.xError;
+        if (s.yError) out.yError = s.yError;
+        return out;
+      }));
+    }
+    if (format !== 'csv') {
+      console.error('Bork! Unknown data format ' + format + '; use csv or json.');
+      return;
     }
     
-    // Transition timings.
-    var t;
-    if (slowUpdate) {
-      t = d3.transition().duration(this.slowTransition);
+    var rows = [];
+    series.forEach(function(s) {
+      for (var i = 0; i < s.x.length; i++) {
+        var x = (s.x[i] instanceof Date) ? s.x[i].toISOString() : s.x[i];
+        rows.push({id: s.id, label: s.label, x: x, y: s.y[i]});
+      }
+    });
+    return d3.csvFormat(rows, ['id', 'label', 'x', 'y']);
+  }
+
+
+  // Download all series as a CSV or JSON file (see exportData).
+  this.downloadData = function(format, filename) {
+    format = (format || 'csv').toLowerCase();
+    var text = this.exportData(format);
+    if (text === undefined) return;
+    this.downloadFile(text, filename || this.graphID + '.' + format,
+      format === 'json' ? 'application/json' : 'text/csv');
+  }
+
+
+  // Read series from text and draw them with addLine or addSeries (or update
+  // them, if this graph already has a line or series with the same ID).
+  // INPUTS:
+  // - text: the data.
+  // - format: 'csv' (default) or 'json'.
+  //   - JSON: an array of addLine/addSeries objects ({id, label, x, y, ...}),
+  //     or one.
+  //   - CSV with columns x and y: one row per point; rows are grouped into
+  //     lines by the id column, and the label column is used if present.
+  //   - Any other CSV: the first column is x, and each other column is a
+  //     line labelled with its header (as exported from a spreadsheet).
+  //   IDs that aren't valid DOM IDs are cleaned up (see dataID).
+  // RETURNS:
+  // - Array of the IDs of the lines drawn.
+  this.importData = function(text, format) {
+    format = (format || 'csv').toLowerCase();
+    var series;
+    try {
+      if (format === 'json') {
+        series = JSON.parse(text);
+        if (!Array.isArray(series)) series = [series];
+      } else if (format === 'csv') {
+        series = csvToSeries(d3.csvParse(text));
+      } else {
+        console.error('Bork! Unknown data format ' + format + '; use csv or json.');
+        return [];
+      }
+      series.forEach(function(s, i) {
+        if (!s || !Array.isArray(s.x) || !Array.isArray(s.y) || s.x.length !== s.y.length) {
+          throw new Error('series ' + i + ' needs x and y arrays of the same length');
+        }
+        s.x = s.x.map(parseX);
+        s.y = s.y.map(parseNumber);
+        s.id = s.id ? dataID(s.id) : theGraph.graphID + 'Data' + i;
+      });
+    } catch (e) {
+      console.error('Bork! Could not read ' + format + ' data: ' + e.message);
+      return [];
+    }
+    
+    var ids = [];
+    series.forEach(function(s, i) {
+      var isNew = d3.select('#'+theGraph.graphID).select('#'+s.id).empty();
+      if (s.type && s.type !== 'line') {
+        if (isNew) {
+          theGraph.addSeries(s);
+        } else {
+          theGraph.updateSeries(s.id, s, true);
+        }
+      } else if (isNew) {
+        theGraph.addLine(s);
+      } else {
+        theGraph.updateLine(s.id, s.x, s.y, true);
+      }
+      ids.push(s.id);
+    });
+    return ids;
+  }
+
+  // A DOM ID from imported data: other characters become _, and IDs that
+  // don't start with a letter or _ get the graph ID in front.
+  function dataID(id) {
+    id = String(id).replace(/[^A-Za-z0-9_-]/g, '_');
+    return /^[A-Za-z_]/.test(id) ? id : theGraph.graphID + '-' + id;
+  }
+
+  // Group parsed CSV rows into series (see importData).
+  function csvToSeries(rows) {
+    var series = [];
+    var cols = rows.columns;
+    
+    if (cols.indexOf('x') >= 0 && cols.indexOf('y') >= 0) {
+      // Long format.
+      var byID = {};
+      rows.forEach(function(row) {
+        var id = row.id || '';
+        if (!byID.hasOwnProperty(id)) {
+          byID[id] = {id: id ? dataID(id) : '', x: [], y: []};
+          if (row.label) byID[id].label = row.label;
+          series.push(byID[id]);
+        }
+        byID[id].x.push(row.x);
+        byID[id].y.push(row.y);
+      });
     } else {
-      t = d3.transition().duration(this.fastTransition);
+      // Wide format.
+      cols.slice(1).forEach(function(col) {
+        series.push({
+          id: dataID(theGraph.graphID + '-' + col),
+          label: col,
+          x: rows.map(function(row) { return row[cols[0]]; }),
+          y: rows.map(function(row) { return row[col]; })
+        });
+      });
     }
-    var tslow = d3.transition().duration(this.slowTransition);
-    var te = d3.easeBackOut.overshoot(1.2);
+    return series;
+  }
 
-    if (delay) {
-      t.delay(delay);
-      tslow.delay(delay);
+  // Empty cells become NaN (so they are skipped), not 0.
+  function parseNumber(v) {
+    return (v === '' || v === null || v === undefined) ? NaN : Number(v);
+  }
+
+  // Numbers, or dates on a time axis.
+  function parseX(v) {
+    if (v instanceof Date) return v;
+    if (theGraph.xScaleType === 'time' && typeof v === 'string' && isNaN(+v)) {
+      return new Date(v);
     }
+    return parseNumber(v);
+  }
 
-    // Make the array of long-format data points for D3 to work with.
-    var dataPairs = this.arrays2d3('x', x, 'y', y);
+
+  ////////////////////////////////////////////////////////////
+  // Saving and restoring the whole graph: config, axis limits, lines and
+  // series (with their classes, styles and error bars), marker lines and
+  // circles, and annotations.  The state is plain JSON, e.g. for
+  // localStorage or a share link.  Functions can't be saved, so:
+  // - function lines (addFunction) are saved as their current points;
+  // - drag/edit callbacks (onDrag, onChange, snap functions) are left out.
+  //   Re-attach them after fromJSON if needed.  (Event handlers too.)
+  // - an x2Transform is only saved by name (see KCVSGraph.conversions); a
+  //   top x-axis with transform functions is left out.
+
+  var stateVersion = 1;
+
+  // RETURNS:
+  // - The graph's state, as an object that JSON.stringify can save.
+  this.toJSON = function() {
+    var root = d3.select('#'+this.graphID);
+    var state = {version: stateVersion, config: {}, limits: this.getAxisLimits()};
     
-    // Attach extra information to each point.
-    for (var i = 0; i < dataPairs.length; i++) {
-      if (Array.isArray(r)) {
-        dataPairs[i].r = r[i];
+    configKeys.forEach(function(key) {
+      if (typeof theGraph[key] !== 'function') state.config[key] = theGraph[key];
+    });
+    state.config.gmargin = $.extend({}, configMargin);
+    if (this.x2Transform && typeof this.x2Transform !== 'string') {
+      console.error("Bork! Can't save x2Transform functions; leaving out the top x-axis.");
+      state.config.x2Transform = null;
+      state.config.x2axis = false;
+    }
+    
+    // Lines and series, in drawing order.
+    state.series = [];
+    root.selectAll('.kcvsGraphLine:not(.kcvsZeroLine), .kcvsSeries').each(function(data) {
+      var item;
+      if (theGraph.series.hasOwnProperty(this.id)) {
+        item = $.extend(true, {}, theGraph.series[this.id]);
+        // Saved with errors, below.
+        ['xError', 'yError', 'errorStyle', 'errorCap', 'errorOpacity'].forEach(function(key) {
+          delete item[key];
+        });
       } else {
-        dataPairs[i].r = r;
+        item = {
+          type: 'line',
+          id: this.id,
+          x: data.map(function(d) { return d.x; }),
+          y: data.map(function(d) { return d.y; })
+        };
+        if (this.hasAttribute('data-label')) item.label = this.getAttribute('data-label');
+        if (this.hasAttribute('data-curve')) item.curve = this.getAttribute('data-curve');
+        if (theGraph.lineYAxis(this) === 'y2') item.yAxis = 'y2';
+        if (!this.hasAttribute('data-palette-index')) item.color = this.getAttribute('stroke');
+        var classes = ownClasses(this, ['line', 'kcvsGraphLine', 'kcvsFunction']);
+        if (classes) item.class = classes;
       }
-      // Use the array indices as "keys" to identify items during later updates.
-      // They aren't necessarily stored in array order, so we need this to update
-      // the correct items!
-      dataPairs[i].key = i;
+      var style = inlineStyle(this);
+      if (style) item.style = style;
+      if (!theGraph.isVisible(this)) item.visible = false;
+      var err = theGraph.errors[this.id];
+      if (err) {
+        // Point by point, in the saved order.
+        item.errors = {errorStyle: err.style, errorCap: err.cap, errorOpacity: err.opacity};
+        if (!item.type || item.type === 'line') {
+          if (err.xError) item.errors.xError = data.map(function(d) { return errorAt(err.xError, d.index); });
+          if (err.yError) item.errors.yError = data.map(function(d) { return errorAt(err.yError, d.index); });
+        } else {
+          if (err.xError) item.errors.xError = err.xError;
+          if (err.yError) item.errors.yError = err.yError;
+        }
+      }
+      if (theGraph.streams.hasOwnProperty(this.id)) {
+        item.stream = $.extend({}, theGraph.streams[this.id]);
+      }
+      state.series.push(item);
+    });
+    
+    // Marker lines, by class.
+    state.markerLines = [];
+    var markerLines = {};
+    root.selectAll('.kcvsMarkerLine:not(.kcvsMarkerHandle)').each(function(d) {
+      var markerClass = ownClasses(this, ['kcvsMarkerLine']);
+      if (!markerLines.hasOwnProperty(markerClass)) {
+        markerLines[markerClass] = {markerClass: markerClass, axis: d.axis, posArr: []};
+        var drag = theGraph.markerDrag[markerClass];
+        if (drag) {
+          markerLines[markerClass].draggable = true;
+          if (typeof drag.snap !== 'function') markerLines[markerClass].snap = drag.snap;
+        }
+        state.markerLines.push(markerLines[markerClass]);
+      }
+      markerLines[markerClass].posArr[d.key] = d.val;
+    });
+    
+    // Marker circles, by class, in the order they were passed in.
+    state.markerCircles = [];
+    var markerCircles = {};
+    root.selectAll('.kcvsMarkerCircle').each(function(d) {
+      var circleClass = ownClasses(this, ['kcvsMarkerCircle']);
+      if (!markerCircles.hasOwnProperty(circleClass)) {
+        markerCircles[circleClass] = {circleClass: circleClass, x: [], y: [], r: []};
+        var edit = theGraph.editablePoints[circleClass];
+        if (edit) {
+          markerCircles[circleClass].editable = true;
+          markerCircles[circleClass].constraints = edit.constraints;
+          markerCircles[circleClass].nudge = edit.nudge;
+        }
+        state.markerCircles.push(markerCircles[circleClass]);
+      }
+      var i = (d.index !== undefined) ? d.index : d.key;
+      markerCircles[circleClass].x[i] = d.x;
+      markerCircles[circleClass].y[i] = d.y;
+      markerCircles[circleClass].r[i] = d.r;
+    });
+    
+    state.annotations = [];
+    for (var id in this.annotations) {
+      state.annotations.push($.extend({}, this.annotations[id]));
     }
     
-    //////////////////////////////
-    // Add/update the shapes!  Note that the location of an SVG circle is 
-    // specified by (cx,cy) attributes.
+    // A plain copy, without Dates etc.
+    return JSON.parse(JSON.stringify(state));
+  }
+
+
+  // Add the lines, series, markers and annotations from a saved state (see
+  // toJSON) to this graph, and set its axis limits.  (Used by fromJSON.)
+  this.loadState = function(state) {
+    if (typeof state === 'string') state = JSON.parse(state);
     
-    // JOIN new data with old elements.
-    var shapes = this.svg.selectAll('.'+circleClass)
-      .data(dataPairs, function(d){ return d.key; });
+    (state.series || []).forEach(function(item) {
+      var obj = $.extend({}, item, reviveX(item.x));
+      if (item.errors) $.extend(obj, item.errors);
+      var node;
+      if (!item.type || item.type === 'line' || item.type === 'step') {
+        node = theGraph.addLine(obj);
+      } else {
+        node = theGraph.addSeries(obj);
+      }
+      if (!node) return;
+      if (item.style) node.attr('style', item.style);
+      if (item.visible === false) theGraph.setVisible(node.node(), false);
+      if (item.stream) theGraph.streams[item.id] = $.extend({}, item.stream);
+    });
     
-    // EXIT old elements not present in new data.
-    shapes.exit()
-      .transition(tslow)
-        .ease(te)
-        .style('opacity', 1e-6)
-        .attr('r', 0)
-        .remove();
+    (state.markerLines || []).forEach(function(m) {
+      var posArr = (m.axis === 'x') ? reviveX(m.posArr).x : m.posArr;
+      var options = m.draggable ? {draggable: true, snap: m.snap} : undefined;
+      theGraph.markerLines(m.markerClass, posArr, m.axis, false, options);
+    });
     
-    // UPDATE old elements present in the new data.
-    shapes.transition(t)
-      .ease(te)
-      .style('opacity', 1)
-      .attr('cx', function(d) { return theGraph.xScale(d.x); })
-      .attr('cy', function(d) { return theGraph.yScale(d.y); })
-      .attr('r', function(d) { return d.r; })
-      .attr('data-n', function(d) { return d.key; });
+    (state.markerCircles || []).forEach(function(m) {
+      var options = m.editable ? {editable: true, constraints: m.constraints, nudge: m.nudge} : undefined;
+      theGraph.markerCircles(m.circleClass, reviveX(m.x).x, m.y, m.r, 0, false, options);
+    });
     
-    // ENTER new elements present in new data.
-    shapes.enter().append('circle')
-      .attr('class', circleClass)
-      .attr('cx', function(d) { return theGraph.xScale(d.x); })
-      .attr('cy', function(d) { return theGraph.yScale(d.y); })
-      .style('opacity', 1e-6)
-      .attr('r', 1e-6)
-      .transition(tslow)
-        .ease(te)
-        .style('opacity', 1)
-        .attr('r', function(d) { return d.r; });
+    (state.annotations || []).forEach(function(a) {
+      var obj = $.extend({}, a);
+      ['x', 'x1', 'x2'].forEach(function(key) {
+        if (obj.hasOwnProperty(key) && (a.type !== 'yRange')) obj[key] = reviveX([obj[key]]).x[0];
+      });
+      theGraph.addAnnotation(obj);
+    });
     
-    return shapes;
-  } // markerCircles function
+    if (state.limits) {
+      var limits = $.extend({}, state.limits);
+      limits.xmin = reviveX([limits.xmin]).x[0];
+      limits.xmax = reviveX([limits.xmax]).x[0];
+      this.setAxisLimits(limits);
+    }
+  }
 
 
-  ////////////////////////////////////////////////////////////
-  // Hide or show lines or other items, by ID or by class.
+  // The classes of an element, leaving out the graph's own (and those in
+  // extra), as a string.
+  function ownClasses(node, extra) {
+    var internal = ['kcvsGraph-hide', 'kcvsGraphTempNewLine'].concat(extra);
+    return (node.getAttribute('class') || '').split(/\s+/).filter(function(c) {
+      return c.length > 0 && internal.indexOf(c) < 0;
+    }).join(' ');
+  }
 
-  // Hide lines by ID or by class.
-  // INPUTS:
-  // - selector: CSS selector.  An ID should start with #, a class with .
-  this.hideItems = function(selector) {
-    d3.select('#'+theGraph.graphID).selectAll(selector).classed('kcvsGraph-hide', true);
+
+  // An element's inline style, without what hiding it or transitions set.
+  function inlineStyle(node) {
+    var copy = node.cloneNode(false);
+    copy.style.removeProperty('display');
+    copy.style.removeProperty('opacity');
+    return copy.getAttribute('style') || '';
   }
 
-  // Show lines or other items, by ID or by class.
-  // INPUTS:
-  // - sel: CSS selector.  An ID should start with #, a class with .
-  this.showItems = function(selector) {
-    d3.select('#'+theGraph.graphID).selectAll(selector)
-      .classed('kcvsGraph-hideLine', false);
+
+  // On a time axis, turn saved x-values (ISO strings) back into Dates.
+  // RETURNS {x: the values}, to extend an object with.
+  function reviveX(values) {
+    if (!values) return {};
+    if (theGraph.xScaleType !== 'time') return {x: values};
+    return {x: values.map(function(v) { return (typeof v === 'string') ? new Date(v) : v; })};
   }
 
 
   ////////////////////////////////////////////////////////////
-  // Completely remove one or more lines (by ID or by class).
-  // Lines fade out in place; if you want them to move, use one of the 
-  // update functions first to move them, then use removeLines.
-  // INPUTS:
-  // - selector: CSS selector.  An ID should start with #, a class with .
-  this.removeLines = function(selector) {
-    var tslow = d3.transition().duration(this.slowTransition);
-    d3.select('#'+theGraph.graphID).selectAll(selector)
-      .transition(tslow)
-        .remove() // transition.remove removes line after transition is complete.
-        .style('opacity', 1e-6);
-  } // removeLines function
-  
-  ////////////////////////////////////////////////////////////
-  // Get the current axis limits.
-  this.getAxisLimits = function() {
-    return {
-      xmin: this.xmin,
-      xmax: this.xmax,
-      ymin: this.ymin,
-      ymax: this.ymax
-    };
+  // Events.
+
+  // Events, and what handlers are called with:
+  // - click: {x, y, x2, y2, px, py, id} for a click in the plot area: the
+  //   data coordinates (x2 and y2 only with secondary axes), the pixel position
+  //   within the plot area, and the ID of the line or series clicked on (or
+  //   null).  Not fired for clicks on the axes or the legend, or after a
+  //   drag (e.g. panning when zoomed).
+  // - hover: see trackPoint.  Fired whether or not tracking is on; without
+  //   it there is just no crosshair or tooltip.
+  // - lineAdded, lineUpdated, lineRemoved: {id, node} when a line or series
+  //   is added (addLine, addFunction, addSeries), updated with new data, or
+  //   removed.
+  // - axisChanged: the new getAxisLimits() whenever the axis limits change,
+  //   e.g. with setAxisLimits or by zooming.
+  // - resize: {width, height} when the graph is resized.
+  // - pointsChanged: see markerCircles.
+  // - timeChanged: {t} when the playback timeline's time changes.
+  // - brush: see enableBrush.
+  this.dispatch = d3.dispatch('click', 'hover', 'lineAdded', 'lineUpdated',
+    'lineRemoved', 'axisChanged', 'resize', 'pointsChanged', 'timeChanged',
+    'brush');
+
+  // Add a handler for a graph event, e.g. graph.on('hover', function(p) {...}).
+  // As in d3, "hover.name" lets you register several handlers for one event.
+  // Handlers are called with the graph as "this".
+  this.on = function(type, handler) {
+    // Clicks on the empty plot area need something to land on.
+    if (/^click(\.|$)/.test(type) && handler) this.addOverlay();
+    if (/^hover(\.|$)/.test(type) && handler) this.enableHoverEvents();
+    this.dispatch.on(type, handler);
+    return this;
   }
+
+
+  // Remove the handler for a graph event: off('hover'), off('hover.name'),
+  // or off('.name') for the handlers with that name on every event.  With a
+  // handler, it is only removed if it is the one registered.
+  this.off = function(type, handler) {
+    if (handler && this.dispatch.on(type) !== handler) return this;
+    this.dispatch.on(type, null);
+    return this;
+  }
+
+
+  // Fire a graph event (see above).
+  this.emit = function(type, data) {
+    this.dispatch.call(type, this, data);
+  }
+
+
+  this.svg.on('click.kcvsEvents', function() {
+    var p = d3.mouse(theGraph.svg.node());
+    // Only clicks in the plot area, not on the axes or the legend.
+    if (p[0] < 0 || p[0] > theGraph.graphWidth || p[1] < 0 || p[1] > theGraph.graphHeight) return;
+    if ($(d3.event.target).closest('.kcvsLegend').length) return;
+    var line = d3.event.target.closest ? d3.event.target.closest('.kcvsGraphLine, .kcvsSeries') : null;
+    theGraph.emit('click', {
+      x: theGraph.xScale.invert(p[0]),
+      y: theGraph.yScale.invert(p[1]),
+      x2: theGraph.x2axis ? theGraph.xToX2(theGraph.xScale.invert(p[0])) : undefined,
+      y2: theGraph.y2axis ? theGraph.y2Scale.invert(p[1]) : undefined,
+      px: p[0],
+      py: p[1],
+      id: line ? line.id : null
+    });
+  });
+
+
+  // Emit hover events as the pointer moves over the graph.  With tracking on,
+  // trackPoint does this along with moving the crosshair.
+  this.enableHoverEvents = function() {
+    if (this.hoverEvents) return;
+    this.hoverEvents = true;
+    this.addOverlay();
+    this.svg
+      .on('mousemove.kcvsHover', function() {
+        if (theGraph.crosshair) return;
+        var m = d3.mouse(this);
+        theGraph.emit('hover', theGraph.findNearestPoint(m[0], m[1]));
+      })
+      .on('mouseleave.kcvsHover', function() {
+        if (!theGraph.crosshair) theGraph.emit('hover', null);
+      });
+  }
+
+
+  // Fire axisChanged if the axis limits differ from last time.
+  var lastAxisLimits = JSON.stringify(this.getAxisLimits());
+  this.checkAxisLimits = function() {
+    var limits = this.getAxisLimits();
+    var key = JSON.stringify(limits);
+    if (key === lastAxisLimits) return;
+    lastAxisLimits = key;
+    this.emit('axisChanged', limits);
+  }
+  
+  
+  //////////////////////////////////////////////////
+  // Finish setting up, now that all the functions are defined.
+  
+  this.setTheme(this.theme);
+  
+  if (this.title || this.subtitle || this.caption) this.setTitle({});
+  if (this.renderer === 'canvas') this.setRenderer('canvas');
+  if (this.timeline) this.enableTimeline();
+  
+  // Add the zero line if selected.
+  if (this.zeroLine) this.addLine({
+    'x': [this.getXmin(), this.getXmax()],
+    'y': [0, 0],
+    'class': 'kcvsZeroLine',
+    // 'strokeWidth': 1
+  });
+  
+  if (this.autoResize) this.enableAutoResize();
+  if (this.zoom) this.enableZoom();
+  if (this.tracking) this.enableTracking();
+  if (this.brush) this.enableBrush();
   
 } // KCVSGraph constructor
 
 
+/////////////////
+// SAVED STATE //
+/////////////////
+// Build a new graph from a state saved with toJSON (an object or a JSON
+// string) in the element with ID containerID.  The saved graphID is kept
+// unless an element with that ID already exists.
+// RETURNS:
+// - The new KCVSGraph.
+KCVSGraph.fromJSON = function(state, containerID) {
+  if (typeof state === 'string') state = JSON.parse(state);
+  var config = $.extend(true, {}, state.config, {containerID: containerID});
+  if (config.graphID && document.getElementById(config.graphID)) delete config.graphID;
+  if (config.xScaleType === 'time') {
+    config.xmin = new Date(config.xmin);
+    config.xmax = new Date(config.xmax);
+  }
+  var graph = new KCVSGraph(config);
+  graph.loadState(state);
+  return graph;
+}
+
+
+/////////////
+// LINKING //
+/////////////
+// Link graphs so that hovering, zooming and brushing in any of them is
+// mirrored in the others: the mouse position shows as a cursor line (see
+// setCursor), and the axis limits and brushed range follow along.
+// INPUTS:
+// - graphs: array of KCVSGraphs.
+// - options: OPTIONAL object with
+//   - axis: 'x' (default), 'y' or 'xy': the linked axes.
+//   - hover, zoom, brush: false to leave that out of the link.
+//   - relative: if true, match positions as fractions of each graph's
+//     configured range (xmin to xmax, ymin to ymax), for graphs that show
+//     different quantities.  Otherwise the data values are the same.
+//   - transforms: OPTIONAL array with a {forward, inverse} pair (like
+//     KCVSGraph.conversions) for each graph, taking its values on the linked
+//     axes to common units and back, for graphs with related units (instead
+//     of relative).  Use null for graphs already in the common units.
+// RETURNS:
+// - A function that unlinks the graphs.
+KCVSGraph.link = function(graphs, options) {
+  options = $.extend({axis: 'x', hover: true, zoom: true, brush: true, relative: false}, options);
+  var axes = ['x', 'y'].filter(function(a) { return options.axis.indexOf(a) >= 0; });
+  var name = '.kcvsLink' + (KCVSGraph.linkCount = (KCVSGraph.linkCount || 0) + 1);
+  var syncing = false; // So the mirrored changes aren't passed back.
+  var addedBrush = []; // Graphs whose brush the link turned on.
+  
+  // Convert a value on axis a from one graph to another.
+  var convert = function(v, a, from, to) {
+    if (options.transforms) {
+      var fromTransform = options.transforms[graphs.indexOf(from)];
+      var toTransform = options.transforms[graphs.indexOf(to)];
+      if (fromTransform) v = fromTransform.forward(+v);
+      if (toTransform) v = toTransform.inverse(v);
+      return v;
+    }
+    if (!options.relative) return v;
+    var f = (v - from[a + 'min'])/(from[a + 'max'] - from[a + 'min']);
+    return +to[a + 'min'] + f*(to[a + 'max'] - to[a + 'min']);
+  };
+  var others = function(graph, action) {
+    if (syncing) return;
+    syncing = true;
+    graphs.forEach(function(other) {
+      if (other !== graph) action(other);
+    });
+    syncing = false;
+  };
+  
+  graphs.forEach(function(graph) {
+    if (options.hover) {
+      graph.addOverlay(); // So the empty plot area gets mouse moves.
+      graph.svg
+        .on('mousemove' + name, function() {
+          var m = d3.mouse(graph.svg.node());
+          var pos = {x: graph.xScale.invert(m[0]), y: graph.yScale.invert(m[1])};
+          others(graph, function(other) {
+            var cursor = {};
+            axes.forEach(function(a) { cursor[a] = convert(pos[a], a, graph, other); });
+            other.setCursor(cursor);
+          });
+        })
+        .on('mouseleave' + name, function() {
+          others(graph, function(other) { other.setCursor(null); });
+        });
+    }
+    
+    if (options.zoom) {
+      graph.on('axisChanged' + name, function(limits) {
+        others(graph, function(other) {
+          var newLimits = {};
+          axes.forEach(function(a) {
+            newLimits[a + 'min'] = convert(limits[a + 'min'], a, graph, other);
+            newLimits[a + 'max'] = convert(limits[a + 'max'], a, graph, other);
+          });
+          other.setAxisLimits(newLimits);
+        });
+      });
+    }
+    
+    if (options.brush) {
+      if (!graph.brushG) {
+        graph.enableBrush({brushAxis: options.axis});
+        addedBrush.push(graph);
+      }
+      graph.on('brush' + name, function(range) {
+        others(graph, function(other) {
+          var newRange = null;
+          if (range) {
+            newRange = {};
+            axes.forEach(function(a) {
+              newRange[a + '1'] = convert(range[a + '1'], a, graph, other);
+              newRange[a + '2'] = convert(range[a + '2'], a, graph, other);
+            });
+          }
+          other.setBrush(newRange);
+        });
+      });
+    }
+  });
+  
+  return function() {
+    graphs.forEach(function(graph) {
+      graph.svg.on(name, null);
+      graph.off(name);
+      if (graph.cursorG) graph.setCursor(null);
+      if (addedBrush.indexOf(graph) >= 0) graph.disableBrush();
+    });
+  };
+}
+
+
+/////////////////
+// CONVERSIONS //
+/////////////////
+// Built-in transforms for the x2Transform config option: {forward, inverse}
+// with x2 = forward(x) and x = inverse(x2).
+KCVSGraph.conversions = {
+  // Wavelength (nm) to frequency (THz): f = c/wavelength.
+  nmToTHz: {
+    forward: function(nm) { return 299792.458/nm; },
+    inverse: function(THz) { return 299792.458/THz; }
+  },
+  // Wavelength (nm) to photon energy (eV): E = hc/wavelength.
+  nmToEV: {
+    forward: function(nm) { return 1239.84193/nm; },
+    inverse: function(eV) { return 1239.84193/eV; }
+  }
+};
+
+
+////////////
+// THEMES //
+////////////
+// Built-in themes for the theme config option and setTheme().
+KCVSGraph.themes = {
+  light: {
+    axis: '#000', // Axis lines and tick marks.
+    tick: '#000', // Tick labels.
+    grid: '#ddd', // Major gridlines.
+    gridMinor: '#f2f2f2', // Minor gridlines.
+    label: '#000', // Axis labels, legend, tooltip text.
+    background: 'none',
+    tooltipBackground: 'rgba(255, 255, 255, 0.9)',
+    palette: ['#1f77b4', '#d62728', '#2ca02c', '#ff7f0e', '#9467bd', '#8c564b', '#e377c2', '#17becf']
+  },
+  dark: {
+    axis: '#d2d2d2',
+    tick: '#d2d2d2',
+    grid: '#444',
+    gridMinor: '#2e2e2e',
+    label: '#d2d2d2',
+    background: 'none',
+    tooltipBackground: 'rgba(30, 30, 30, 0.9)',
+    palette: ['#6baed6', '#fc8d62', '#66c2a5', '#ffd92f', '#b39ddb', '#e5c494', '#f48fb1', '#80deea']
+  }
+};
+
+
 
 
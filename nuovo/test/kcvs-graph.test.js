@@ -0,0 +1,521 @@
+/*
+  Tests for kcvs-graph.js.  Open index.html (in this folder) in a browser.
+  
+  Each test gets a fresh graph in its own container, with transitions off
+  so that changes show up right away.
+*/
+
+var testCount = 0;
+var failures = 0;
+var graphCount = 0;
+
+// Run a test and list the result.
+function test(name, f) {
+  var result = 'ok';
+  try {
+    f();
+  } catch (e) {
+    result = 'FAILED: ' + e.message;
+    failures++;
+  }
+  testCount++;
+  $('<li></li>').text(name + ': ' + result).appendTo('#results');
+  console.log(name + ': ' + result);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message + ' (expected ' + expected + ', got ' + actual + ')');
+  }
+}
+
+// A graph in a new container, with the given config added.
+function makeGraph(config) {
+  var n = graphCount++;
+  $('<div></div>').attr('id', 'testContainer' + n).appendTo('#graphs');
+  return new KCVSGraph($.extend({
+    containerID: 'testContainer' + n,
+    graphID: 'testGraph' + n,
+    width: 400,
+    height: 200,
+    fastTransition: 0,
+    slowTransition: 0
+  }, config));
+}
+
+
+//////////////////////////////////////////////////
+// Visibility and legend.
+
+test('hideItems and showItems toggle a line', function() {
+  var graph = makeGraph({});
+  graph.addLine({id: 'visLine', x: [0, 1], y: [0, 1]});
+  var node = $('#visLine')[0];
+  graph.hideItems('#visLine');
+  assert(!graph.isVisible(node), 'hidden line is visible');
+  assertEqual(node.style.display, 'none', 'hidden line display');
+  graph.showItems('#visLine');
+  assert(graph.isVisible(node), 'shown line is hidden');
+  graph.setVisible('#visLine');
+  assert(!graph.isVisible(node), 'setVisible did not toggle');
+});
+
+test('Clicking a legend entry toggles its line', function() {
+  var graph = makeGraph({legend: true});
+  graph.addLine({id: 'legendClickLine', x: [0, 1], y: [0, 1], label: 'A'});
+  var entry = $('#' + graph.graphID + ' .kcvsLegendEntry');
+  assertEqual(entry.length, 1, 'legend entries');
+  entry[0].dispatchEvent(new MouseEvent('click'));
+  assert(!graph.isVisible($('#legendClickLine')[0]), 'line still visible');
+  entry[0].dispatchEvent(new MouseEvent('click'));
+  assert(graph.isVisible($('#legendClickLine')[0]), 'line still hidden');
+});
+
+test('Legend keeps its size when lines change', function() {
+  var graph = makeGraph({legend: true});
+  graph.addLine({id: 'legendSizeLine', x: [0, 1], y: [0, 1], label: 'A'});
+  var background = $('#' + graph.graphID + ' .kcvsLegendBackground');
+  var width = background.attr('width');
+  graph.updateLine('legendSizeLine', [0, 1], [1, 0]);
+  graph.setVisible('#legendSizeLine', false);
+  graph.setVisible('#legendSizeLine', true);
+  assertEqual(background.attr('width'), width, 'legend width');
+});
+
+test('An outside legend makes room once', function() {
+  var graph = makeGraph({legend: true, legendPlacement: 'outside'});
+  graph.addLine({id: 'outsideLine', x: [0, 1], y: [0, 1], label: 'A long label'});
+  var right = graph.gmargin.right;
+  assert(right > 10, 'no room made for the legend');
+  graph.updateLegend();
+  graph.resize(500, 250);
+  assertEqual(graph.gmargin.right, right, 'right margin');
+});
+
+test('Removed lines leave the legend', function() {
+  var graph = makeGraph({legend: true});
+  graph.addLine({id: 'removedLine', x: [0, 1], y: [0, 1], label: 'A'});
+  graph.addLine({id: 'keptLine', x: [0, 1], y: [1, 0], label: 'B'});
+  graph.removeLines('#removedLine');
+  var labels = $('#' + graph.graphID + ' .kcvsLegendEntry text')
+    .map(function() { return $(this).text(); }).get();
+  assertEqual(labels.join(','), 'B', 'legend labels');
+});
+
+
+//////////////////////////////////////////////////
+// Series.
+
+test('removeLines removes a series', function() {
+  var graph = makeGraph({});
+  graph.addSeries({id: 'barsA', type: 'bar', x: [1, 2], y: [1, 2]});
+  graph.addSeries({id: 'barsB', type: 'bar', x: [1, 2], y: [2, 1]});
+  graph.removeLines('#barsA');
+  assert(!graph.series.hasOwnProperty('barsA'), 'series still registered');
+  graph.setAxisLimits({xmin: 0, xmax: 3}); // Used to throw.
+  var bar = $('#barsB rect')[0];
+  assert(+bar.getAttribute('width') > 0, 'remaining bars not drawn');
+});
+
+test('addSeries rejects a duplicate id', function() {
+  var graph = makeGraph({});
+  graph.addSeries({id: 'dupSeries', type: 'scatter', x: [1], y: [1]});
+  var second = graph.addSeries({id: 'dupSeries', type: 'scatter', x: [2], y: [2]});
+  assertEqual(second, undefined, 'duplicate series returned');
+  assertEqual($('#' + graph.graphID + ' [id=dupSeries]').length, 1, 'groups with the id');
+});
+
+test('Lines, step series and functions reject a duplicate id', function() {
+  var graph = makeGraph({});
+  graph.addLine({id: 'dupLine', x: [1, 2], y: [1, 2]});
+  assertEqual(graph.addLine({id: 'dupLine', x: [1, 2], y: [2, 1]}), undefined, 'duplicate line returned');
+  assertEqual(graph.addSeries({id: 'dupLine', type: 'step', x: [1, 2], y: [2, 1]}), undefined,
+    'duplicate step series returned');
+  assertEqual(graph.addSeries({id: 'dupLine', type: 'bar', x: [1, 2], y: [2, 1]}), undefined,
+    'duplicate bars returned');
+  var f = function(x) { return x; };
+  assertEqual(graph.addFunction('dupLine', f), undefined, 'duplicate function returned');
+  assert(!graph.functions.hasOwnProperty('dupLine'), 'duplicate function registered');
+  assertEqual($('#' + graph.graphID + ' [id=dupLine]').length, 1, 'elements with the id');
+  assertEqual($('#dupLine')[0].__data__[1].y, 2, 'original line changed');
+});
+
+
+//////////////////////////////////////////////////
+// Editable points.
+
+test('Arrow keys move points along a time axis', function() {
+  var start = new Date(2020, 0, 1);
+  var end = new Date(2020, 0, 2);
+  var graph = makeGraph({xScaleType: 'time', xmin: start, xmax: end, ymin: 0, ymax: 10});
+  var noon = new Date(2020, 0, 1, 12);
+  graph.markerCircles('timePoints', [noon], [5], 4, 0, false, {editable: true});
+  var changes = [];
+  graph.on('pointsChanged', function(e) { changes.push(e); });
+  var circle = $('#' + graph.graphID + ' .timePoints')[0];
+  circle.dispatchEvent(new KeyboardEvent('keydown', {key: 'ArrowRight', bubbles: true}));
+  var d = circle.__data__;
+  assert(d.x instanceof Date, 'x is not a Date: ' + d.x);
+  assertEqual(+d.x, +noon + (end - start)/100, 'x');
+  assertEqual(changes.length, 1, 'pointsChanged events');
+  assert(changes[0].x[0] instanceof Date, 'event x is not a Date');
+  // Stays within the axis limits.
+  for (var i = 0; i < 10; i++) {
+    circle.dispatchEvent(new KeyboardEvent('keydown', {key: 'ArrowRight', shiftKey: true, bubbles: true}));
+  }
+  assertEqual(+circle.__data__.x, +end, 'x after moving past the end');
+});
+
+
+//////////////////////////////////////////////////
+// Error bars and bands.
+
+test('Error bars reach the given errors', function() {
+  var graph = makeGraph({xmin: 0, xmax: 10, ymin: 0, ymax: 10});
+  graph.addSeries({id: 'barErrors', type: 'scatter', x: [2, 4, 6], y: [5, 5, 5],
+    yError: [[1, 2], null, 0.5], xError: [null, 1, null], errorCap: 0});
+  var paths = $('#' + graph.graphID + ' .kcvsErrors[data-series=barErrors] .kcvsErrorBar')
+    .map(function() { return this.getAttribute('d'); }).get();
+  var x = graph.xScale, y = graph.yScale;
+  assertEqual(paths[0], 'M' + x(2) + ',' + y(4) + 'V' + y(7), 'asymmetric y error');
+  assertEqual(paths[1], 'M' + x(3) + ',' + y(5) + 'H' + x(5), 'x error');
+  assertEqual(paths[2], 'M' + x(6) + ',' + y(4.5) + 'V' + y(5.5), 'symmetric y error');
+  graph.removeErrors('barErrors');
+  assertEqual($('#' + graph.graphID + ' .kcvsErrors[data-series=barErrors] .kcvsErrorBar').length, 0,
+    'error bars after removeErrors');
+});
+
+test('A confidence band replaces the error bars', function() {
+  var graph = makeGraph({xmin: 0, xmax: 10, ymin: 0, ymax: 10});
+  graph.addLine({id: 'bandLine', x: [6, 2], y: [5, 3], yError: 1, errorStyle: 'band'});
+  var errors = $('#' + graph.graphID + ' .kcvsErrors[data-series=bandLine]');
+  assertEqual(errors.find('.kcvsErrorBar').length, 0, 'error bars');
+  var band = errors.find('.kcvsErrorBand');
+  assertEqual(band.length, 1, 'bands');
+  // Sorted by x, along the upper edge first.
+  var d = band.attr('d');
+  var start = 'M' + graph.xScale(2) + ',' + graph.yScale(4) + 'L' + graph.xScale(6) + ',' + graph.yScale(6);
+  assertEqual(d.indexOf(start), 0, 'band path ' + d);
+  graph.setErrors('bandLine', {yError: 1});
+  assertEqual(errors.find('.kcvsErrorBand').length, 0, 'bands after switching to bars');
+  assertEqual(errors.find('.kcvsErrorBar').length, 2, 'error bars after switching');
+});
+
+
+//////////////////////////////////////////////////
+// Saving and restoring.
+
+test('toJSON keeps a named x2Transform', function() {
+  var graph = makeGraph({x2axis: true, x2Transform: 'nmToTHz', xmin: 400, xmax: 800});
+  var state = JSON.parse(JSON.stringify(graph.toJSON()));
+  assertEqual(state.config.x2Transform, 'nmToTHz', 'saved transform');
+  $('<div></div>').attr('id', 'restoredNamed').appendTo('#graphs');
+  var restored = KCVSGraph.fromJSON(state, 'restoredNamed');
+  assertEqual(Math.round(restored.xToX2(500)), 600, 'restored conversion');
+});
+
+test('toJSON leaves out an x2Transform of functions', function() {
+  var graph = makeGraph({x2axis: true, x2Transform: {
+    forward: function(x) { return 2*x; },
+    inverse: function(x2) { return x2/2; }
+  }});
+  var state = JSON.parse(JSON.stringify(graph.toJSON()));
+  assertEqual(state.config.x2axis, false, 'saved x2axis');
+  $('<div></div>').attr('id', 'restoredFunctions').appendTo('#graphs');
+  KCVSGraph.fromJSON(state, 'restoredFunctions'); // Used to throw.
+});
+
+
+//////////////////////////////////////////////////
+// Themes.
+
+test('setTheme restyles an existing graph', function() {
+  var graph = makeGraph({xmin: 0, xmax: 10, xlabel: 'x', xgrid: true, theme: 'light'});
+  graph.addLine({id: 'paletteLine', x: [1, 2], y: [1, 2]});
+  graph.addLine({id: 'redLine', x: [1, 2], y: [2, 1], color: 'red'});
+  var root = $('#' + graph.graphID);
+  var dark = KCVSGraph.themes.dark;
+  graph.setTheme('dark');
+  assertEqual(root.find('.kcvsAxisLabel').attr('fill'), dark.label, 'axis label');
+  assertEqual(root.find('.kcvsAxis .tick text').attr('fill'), dark.tick, 'tick label');
+  assertEqual(root.find('.kcvsAxis').attr('color'), dark.axis, 'axis');
+  assertEqual(root.find('.kcvsGridLine-major').attr('stroke'), dark.grid, 'gridline');
+  assertEqual($('#paletteLine').attr('stroke'), dark.palette[0], 'palette line');
+  assertEqual($('#redLine').attr('stroke'), 'red', 'line with its own colour');
+  // Theme objects fill in the rest from the light theme.
+  graph.setTheme({label: '#123456'});
+  assertEqual(root.find('.kcvsAxisLabel').attr('fill'), '#123456', 'custom label');
+  assertEqual(root.find('.kcvsAxis .tick text').attr('fill'), KCVSGraph.themes.light.tick, 'custom tick');
+  assertEqual($('#paletteLine').attr('stroke'), KCVSGraph.themes.light.palette[0], 'custom palette');
+});
+
+
+//////////////////////////////////////////////////
+// Canvas renderer.
+
+test('A theme background stays behind canvas lines', function() {
+  var graph = makeGraph({renderer: 'canvas', theme: {background: 'rgb(1, 2, 3)'}});
+  var rect = $('#' + graph.graphID + ' .kcvsGraphBackground');
+  assertEqual(rect.attr('fill'), 'none', 'SVG background');
+  assertEqual(graph.wrapper.css('background-color'), 'rgb(1, 2, 3)', 'wrapper background');
+  var markup = graph.serializeSVG();
+  assert(markup.indexOf('fill="rgb(1, 2, 3)"') >= 0, 'background missing from export');
+  graph.setRenderer('svg');
+  assertEqual(rect.attr('fill'), 'rgb(1, 2, 3)', 'SVG background after switching back');
+  assertEqual(graph.wrapper[0].style.backgroundColor, '', 'wrapper background after switching back');
+});
+
+
+//////////////////////////////////////////////////
+// Secondary x-axis.
+
+test('A top x-axis gets room in the top margin', function() {
+  var config = {gmargin: {top: 10, right: 10, bottom: 40, left: 60}, x2axis: true,
+    x2Transform: 'nmToTHz', xmin: 400, xmax: 800};
+  var graph = makeGraph(config);
+  assertEqual(graph.gmargin.top, 40, 'top margin');
+  assertEqual(config.gmargin.top, 10, 'config margin changed');
+  var ticks = $('#' + graph.graphID + 'X2axis .tick text')
+    .map(function() { return $(this).text(); }).get();
+  assert(ticks.length > 2, 'too few top ticks');
+});
+
+
+//////////////////////////////////////////////////
+// Streaming.
+
+// Keys of the error bars drawn (with a path) for a line or series.
+function errorBarKeys(graph, id) {
+  return $('#' + graph.graphID + ' .kcvsErrors[data-series=' + id + '] .kcvsErrorBar')
+    .filter(function() { return this.getAttribute('d'); })
+    .map(function() { return this.__data__.key; }).get().join(',');
+}
+
+test('Streamed points keep per-point errors lined up', function() {
+  var graph = makeGraph({xmin: 0, xmax: 5, ymin: 0, ymax: 5});
+  graph.addLine({id: 'streamLine', x: [0, 1, 2], y: [1, 1, 1], yError: [0.1, 0.2, 0.3]});
+  graph.appendPoints('streamLine', [3], [1], {maxPoints: 3});
+  graph.flushPoints();
+  var data = $('#streamLine')[0].__data__;
+  assertEqual(data.map(function(d) { return d.index; }).join(','), '0,1,2', 'point indices');
+  assertEqual(graph.errors.streamLine.yError.join(), '0.2,0.3,', 'errors');
+  assertEqual(errorBarKeys(graph, 'streamLine'), '0,1', 'error bars');
+});
+
+test('Streamed lines keep their errors to the window', function() {
+  var graph = makeGraph({xmin: 0, xmax: 5, ymin: 0, ymax: 5});
+  graph.addLine({id: 'longStream', x: [0, 1], y: [1, 1], yError: [0.1, 0.2]});
+  for (var i = 2; i < 50; i++) {
+    graph.appendPoints('longStream', [i], [1], {maxPoints: 4});
+    graph.flushPoints();
+  }
+  var data = $('#longStream')[0].__data__;
+  assertEqual(data.map(function(d) { return d.index; }).join(','), '0,1,2,3', 'point indices');
+  assertEqual(graph.errors.longStream.yError.length, 4, 'error array length');
+  assertEqual(errorBarKeys(graph, 'longStream'), '', 'error bars');
+  assertEqual(graph.streams.longStream.nextIndex, 4, 'next index');
+});
+
+test('Streamed series slide their errors along', function() {
+  var graph = makeGraph({xmin: 0, xmax: 5, ymin: 0, ymax: 5});
+  graph.addSeries({id: 'streamScatter', type: 'scatter', x: [0, 1, 2], y: [1, 1, 1],
+    yError: [0.1, 0.2, 0.3]});
+  graph.appendPoints('streamScatter', [3], [1], {maxPoints: 3});
+  graph.flushPoints();
+  assertEqual(graph.errors.streamScatter.yError.length, 3, 'error array length');
+  assertEqual(graph.errors.streamScatter.yError[0], 0.2, 'first error');
+  assertEqual(errorBarKeys(graph, 'streamScatter'), '0,1', 'error bars');
+});
+
+
+//////////////////////////////////////////////////
+// Playback timeline.
+
+test('The speed menu shows speeds set in code', function() {
+  var graph = makeGraph({timeline: true, speed: 0.5});
+  var menu = graph.timelineControls.find('.kcvsTimelineSpeed');
+  assertEqual(+menu.val(), 0.5, 'starting speed');
+  graph.setSpeed(0.7);
+  assertEqual(+menu.val(), 0.7, 'speed set in code');
+  assertEqual(menu.find('option:selected').text(), '1.4\u00D7', 'label');
+  var values = menu.find('option').map(function() { return +this.value; }).get();
+  assertEqual(values.join(), '0.125,0.25,0.5,0.7,1,2', 'options');
+  menu.val('2').trigger('change');
+  assertEqual(graph.speed, 2, 'speed chosen from the menu');
+  graph.setSpeed(0.7);
+  assertEqual(menu.find('option').length, 6, 'options after setting a speed again');
+});
+
+
+//////////////////////////////////////////////////
+// Zooming.
+
+test('Zooming stays relative to the configured limits', function() {
+  var graph = makeGraph({xmin: 0, xmax: 100, zoom: true, zoomAxis: 'x', zoomExtent: [1, 20]});
+  graph.setAxisLimits({xmin: 40, xmax: 60});
+  var transform = d3.zoomTransform(graph.svg.node());
+  assert(Math.abs(transform.k - 5) < 1e-9, 'zoom factor ' + transform.k);
+  // Zooming out as far as zoomExtent allows gets back to the configured limits.
+  graph.svg.call(graph.zoomBehavior.scaleTo, 1);
+  var limits = graph.getAxisLimits();
+  assert(Math.abs(limits.xmax - limits.xmin - 100) < 1e-6, 'x-range ' + (limits.xmax - limits.xmin));
+});
+
+test('Zoom carries on from limits set in code', function() {
+  var graph = makeGraph({xmin: 0, xmax: 100, zoom: true, zoomAxis: 'x'});
+  graph.setAxisLimits({xmin: 20, xmax: 70});
+  graph.svg.call(graph.zoomBehavior.translateBy, 0); // A zoom event, no change.
+  var limits = graph.getAxisLimits();
+  assert(Math.abs(limits.xmin - 20) < 1e-6 && Math.abs(limits.xmax - 70) < 1e-6,
+    'limits moved to ' + limits.xmin + ', ' + limits.xmax);
+});
+
+
+//////////////////////////////////////////////////
+// Linking.
+
+test('Linked graphs follow each other and unlink cleanly', function() {
+  var a = makeGraph({xmin: 0, xmax: 10});
+  var b = makeGraph({xmin: 0, xmax: 10, brush: true});
+  var unlink = KCVSGraph.link([a, b]);
+  a.setAxisLimits({xmin: 2, xmax: 4});
+  assertEqual(b.getAxisLimits().xmin, 2, 'linked xmin');
+  a.setBrush({x1: 2.5, x2: 3});
+  assertEqual(b.brushRange.x1, 2.5, 'linked brush');
+  unlink();
+  assert(!a.brushG, 'brush left on after unlinking');
+  assert(b.brushG, 'brush turned off that was on before');
+  a.setAxisLimits({xmin: 0, xmax: 1});
+  assertEqual(b.getAxisLimits().xmin, 2, 'still linked');
+});
+
+
+test('Linked graphs can map their units', function() {
+  var a = makeGraph({xmin: 0, xmax: 100});
+  var b = makeGraph({xmin: 0, xmax: 10});
+  KCVSGraph.link([a, b], {zoom: false, transforms: [null, {
+    forward: function(x) { return 10*x; },
+    inverse: function(x) { return x/10; }
+  }]});
+  a.setBrush({x1: 20, x2: 40});
+  assertEqual(b.brushRange.x1, 2, 'mapped brush');
+  a.setAxisLimits({xmin: 10, xmax: 20});
+  assertEqual(b.getAxisLimits().xmax, 10, 'zoom followed');
+});
+
+
+//////////////////////////////////////////////////
+// Importing data.
+
+test('importData rejects series without matching x and y', function() {
+  var graph = makeGraph({});
+  var bad = ['{"id": "a"}', '[{"x": [1, 2], "y": [1]}]', '[null]', '{"x": 1, "y": 2}'];
+  bad.forEach(function(text) {
+    var ids = graph.importData(text, 'json'); // Used to throw.
+    assertEqual(ids.length, 0, 'ids for ' + text);
+  });
+  var ids = graph.importData('{"id": "good", "x": [1, 2], "y": [3, 4]}', 'json');
+  assertEqual(ids.join(','), 'good', 'ids for good data');
+});
+
+
+test('importData cleans up ids the same way for every format', function() {
+  var graph = makeGraph({});
+  var ids = graph.importData('{"id": 1, "x": [1, 2], "y": [3, 4]}', 'json'); // Used to throw.
+  assertEqual(ids[0], graph.graphID + '-1', 'numeric JSON id');
+  ids = graph.importData('id,x,y\n2 a,1,2\n2 a,2,3\n', 'csv');
+  assertEqual(ids[0], graph.graphID + '-2_a', 'long CSV id');
+  ids = graph.importData('t,my line\n1,2\n2,3\n', 'csv');
+  assertEqual(ids[0], graph.graphID + '-my_line', 'wide CSV id');
+  ids.forEach(function(id) { assertEqual($('#' + id).length, 1, 'line ' + id); });
+  // Existing lines are updated by their id.
+  assertEqual(graph.importData('id,x,y\n2 a,1,5\n', 'csv')[0], graph.graphID + '-2_a', 'updated id');
+  assertEqual($('#' + graph.graphID + '-2_a').length, 1, 'lines after update');
+});
+
+
+//////////////////////////////////////////////////
+// Events.
+
+test('Click events only come from the plot area', function() {
+  var graph = makeGraph({xmin: 0, xmax: 10, ymin: 0, ymax: 10});
+  var clicks = [];
+  graph.on('click', function(e) { clicks.push(e); });
+  var plot = graph.overlay.node().getBoundingClientRect();
+  var click = function(node, x, y) {
+    node.dispatchEvent(new MouseEvent('click', {bubbles: true, view: window, clientX: x, clientY: y}));
+  };
+  click(graph.overlay.node(), plot.left + plot.width/2, plot.top + plot.height/2);
+  assertEqual(clicks.length, 1, 'clicks in the plot area');
+  assert(Math.abs(clicks[0].x - 5) < 0.5, 'x = ' + clicks[0].x);
+  click(graph.xAxisG.node(), plot.left + plot.width/2, plot.bottom + 10);
+  click(graph.yAxisG.node(), plot.left - 10, plot.top + plot.height/2);
+  assertEqual(clicks.length, 1, 'clicks including the axes');
+});
+
+
+test('Tracking snaps the crosshair to the nearest point', function() {
+  var graph = makeGraph({xmin: 0, xmax: 10, ymin: 0, ymax: 10, tracking: true,
+    xtickFormat: '.1f', ytickFormat: '.2f'});
+  graph.addLine({id: 'lowLine', label: 'Low', x: [2, 4, 6], y: [1, 2, 3]});
+  graph.addLine({id: 'highLine', x: [2, 4, 6], y: [8, 9, 10]});
+  var points = [];
+  graph.on('hover', function(p) { points.push(p); });
+  var plot = graph.overlay.node().getBoundingClientRect();
+  // Near (3.9, 2.5): closest to (4, 2) on the low line.
+  graph.overlay.node().dispatchEvent(new MouseEvent('mousemove', {bubbles: true, view: window,
+    clientX: plot.left + plot.width*0.39, clientY: plot.top + plot.height*0.75}));
+  assertEqual(points.length, 1, 'hover events');
+  assertEqual(points[0].id, 'lowLine', 'line');
+  assertEqual(points[0].x, 4, 'x');
+  assertEqual(points[0].y, 2, 'y');
+  var circle = graph.crosshair.select('.kcvsCrosshairPoint');
+  assert(graph.crosshair.style('display') !== 'none', 'crosshair hidden');
+  assertEqual(+circle.attr('cx'), graph.xScale(4), 'crosshair x');
+  assertEqual(+circle.attr('cy'), graph.yScale(2), 'crosshair y');
+  assertEqual(graph.tooltip.text(), 'Low: x = 4.0, y = 2.00', 'tooltip');
+  graph.svg.node().dispatchEvent(new MouseEvent('mouseleave', {view: window}));
+  assertEqual(points[1], null, 'leaving the graph');
+  assertEqual(graph.crosshair.style('display'), 'none', 'crosshair after leaving');
+});
+
+test('Hover events come without tracking', function() {
+  var graph = makeGraph({xmin: 0, xmax: 10, ymin: 0, ymax: 10});
+  graph.addLine({id: 'hoverLine', x: [2, 4, 6], y: [1, 5, 9]});
+  var points = [];
+  graph.on('hover', function(p) { points.push(p); });
+  var plot = graph.overlay.node().getBoundingClientRect();
+  graph.overlay.node().dispatchEvent(new MouseEvent('mousemove', {bubbles: true, view: window,
+    clientX: plot.left + plot.width*0.45, clientY: plot.top + plot.height/2}));
+  assertEqual(points.length, 1, 'hover events');
+  assertEqual(points[0].id, 'hoverLine', 'line');
+  assertEqual(points[0].x, 4, 'x');
+  graph.svg.node().dispatchEvent(new MouseEvent('mouseleave', {view: window}));
+  assertEqual(points[1], null, 'leaving the graph');
+  assert(!graph.crosshair, 'crosshair shown');
+});
+
+
+//////////////////////////////////////////////////
+// Exporting.
+
+test('Exports leave out the interactive elements', function() {
+  var graph = makeGraph({xmin: 0, xmax: 10, zoom: true, tracking: true, brush: true});
+  graph.markerLines('exportMarker', [5], 'x', false, {draggable: true});
+  graph.setCursor({x: 3});
+  graph.setBrush({x1: 2, x2: 4});
+  var markup = graph.serializeSVG();
+  ['kcvsGraphOverlay', 'kcvsCrosshair', 'kcvsBrush', 'kcvsCursor', 'kcvsMarkerHandle'].forEach(function(name) {
+    assert(markup.indexOf(name) < 0, name + ' exported');
+  });
+  assert(markup.indexOf('exportMarker') >= 0, 'marker line left out');
+});
+
+
+//////////////////////////////////////////////////
+
+$('#summary').text(testCount + ' tests, ' + failures + ' failed.');